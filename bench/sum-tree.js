@@ -0,0 +1,93 @@
+/**
+ * Benchmarks sum tree generation on large blocks.
+ * Compares the Buffer-based level builder against the original
+ * approach of concatenating hex strings and hashing them with `soliditySha3`.
+ *
+ * Usage: node bench/sum-tree.js [numTransfers...]
+ */
+const web3 = require('web3')
+
+const PlasmaMerkleSumTree = require('../src/sum-tree/plasma-sum-tree')
+const MerkleTreeNode = require('../src/sum-tree/merkle-tree-node')
+const Transaction = require('../src/serialization').models.Transaction
+
+const DEFAULT_SIZES = [100000, 1000000]
+
+/**
+ * Returns a list of `n` sequential single-transfer transactions.
+ * @param {Number} n Number of transactions.
+ * @return {*} A list of transactions.
+ */
+const getTransactions = (n) => {
+  let txs = []
+  for (let i = 0; i < n; i++) {
+    txs.push(new Transaction({
+      block: 0,
+      transfers: [
+        {
+          sender: '0x000000000000000f000000000000000000000000',
+          recipient: '0x000000000000f000000000000000000000000000',
+          token: 0,
+          start: i * 10,
+          end: (i + 1) * 10
+        }
+      ]
+    }))
+  }
+  return txs
+}
+
+/**
+ * Builds every level above the leaves the way the tree originally did.
+ * @param {*} children Leaf nodes.
+ * @return {*} The root node.
+ */
+const legacyGenerate = (children) => {
+  if (children.length <= 1) {
+    return children[0]
+  }
+
+  let parents = []
+  for (let i = 0; i < children.length; i += 2) {
+    let left = children[i]
+    let right = (i + 1 === children.length) ? PlasmaMerkleSumTree.emptyLeaf() : children[i + 1]
+    parents.push(new MerkleTreeNode(web3.utils.soliditySha3('0x' + left.data + right.data), left.sum.add(right.sum)))
+  }
+  return legacyGenerate(parents)
+}
+
+/**
+ * Returns how long a function takes to run, in milliseconds.
+ * @param {Function} fn Function to time.
+ * @return {*} The elapsed time and the function's result.
+ */
+const time = (fn) => {
+  const start = process.hrtime()
+  const result = fn()
+  const [seconds, nanoseconds] = process.hrtime(start)
+  return {
+    ms: seconds * 1e3 + nanoseconds / 1e6,
+    result: result
+  }
+}
+
+const sizes = process.argv.length > 2 ? process.argv.slice(2).map(Number) : DEFAULT_SIZES
+
+sizes.forEach((size) => {
+  const txs = getTransactions(size)
+
+  const build = time(() => new PlasmaMerkleSumTree(txs))
+  const tree = build.result
+  const levels = time(() => tree.generate(tree.levels[0], [tree.levels[0]]))
+  const legacy = time(() => legacyGenerate(tree.levels[0]))
+
+  if (legacy.result.data !== tree.root().data) {
+    throw new Error('Legacy and Buffer-based roots differ')
+  }
+
+  console.log(`${size} transfers`)
+  console.log(`  full build:       ${build.ms.toFixed(0)} ms`)
+  console.log(`  levels (Buffer):  ${levels.ms.toFixed(0)} ms`)
+  console.log(`  levels (legacy):  ${legacy.ms.toFixed(0)} ms`)
+  console.log(`  speedup:          ${(legacy.ms / levels.ms).toFixed(1)}x`)
+})
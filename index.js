@@ -1,11 +1,18 @@
 const utils = require('./src/utils')
 const serialization = require('./src/serialization')
 const PlasmaMerkleSumTree = require('./src/sum-tree/plasma-sum-tree.js')
+const errors = require('./src/sum-tree/errors')
+const InvalidBlockError = errors.InvalidBlockError
+const TreeIntegrityError = errors.TreeIntegrityError
 const logging = require('./src/logging')
+const contract = require('./src/contract')
 
 module.exports = {
   utils,
   PlasmaMerkleSumTree,
+  InvalidBlockError,
+  TreeIntegrityError,
   logging,
-  serialization
+  serialization,
+  contract
 }
@@ -0,0 +1,74 @@
+/**
+ * ABI fragments for the plasma chain contract functions that take proofs.
+ * Transactions and proofs are passed to the contract in their serialized form, as `bytes`.
+ */
+
+const uint256 = (name) => ({ name: name, type: 'uint256' })
+const int128 = (name) => ({ name: name, type: 'int128' })
+const bytes = (name) => ({ name: name, type: 'bytes' })
+
+/**
+ * Returns the ABI fragment of a contract function.
+ * @param {String} name Name of the function.
+ * @param {Array} inputs Inputs of the function, in order.
+ * @return {*} The ABI fragment.
+ */
+const fn = (name, inputs) => {
+  return {
+    name: name,
+    type: 'function',
+    inputs: inputs
+  }
+}
+
+const BEGIN_EXIT = fn('beginExit', [
+  uint256('tokenType'),
+  uint256('blockNumber'),
+  uint256('untypedStart'),
+  uint256('untypedEnd')
+])
+
+const CHALLENGE_SPENT_COIN = fn('challengeSpentCoin', [
+  uint256('exitID'),
+  uint256('coinID'),
+  int128('transferIndex'),
+  bytes('transactionEncoding'),
+  bytes('transactionProofEncoding')
+])
+
+const CHALLENGE_INVALID_HISTORY = fn('challengeInvalidHistoryWithTransaction', [
+  uint256('exitID'),
+  uint256('coinID'),
+  int128('transferIndex'),
+  bytes('transactionEncoding'),
+  bytes('transactionProofEncoding')
+])
+
+const RESPOND_TRANSACTION_INCLUSION = fn('respondTransactionInclusion', [
+  uint256('challengeID'),
+  int128('transferIndex'),
+  bytes('transactionEncoding'),
+  bytes('transactionProofEncoding')
+])
+
+const RESPOND_INVALID_HISTORY = fn('respondInvalidHistoryTransaction', [
+  uint256('challengeID'),
+  int128('transferIndex'),
+  bytes('transactionEncoding'),
+  bytes('transactionProofEncoding')
+])
+
+const CHECK_TRANSACTION_PROOF = fn('checkTransactionProofAndGetTypedTransfer', [
+  bytes('transactionEncoding'),
+  bytes('transactionProofEncoding'),
+  int128('transferIndex')
+])
+
+module.exports = {
+  BEGIN_EXIT,
+  CHALLENGE_SPENT_COIN,
+  CHALLENGE_INVALID_HISTORY,
+  RESPOND_TRANSACTION_INCLUSION,
+  RESPOND_INVALID_HISTORY,
+  CHECK_TRANSACTION_PROOF
+}
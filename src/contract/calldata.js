@@ -0,0 +1,149 @@
+const Web3 = require('web3')
+const BN = Web3.utils.BN
+const models = require('../serialization').models
+const SignedTransaction = models.SignedTransaction
+const TransactionProof = models.TransactionProof
+const abi = require('./abi')
+
+const ethAbi = new Web3().eth.abi
+
+/**
+ * Returns a transaction the way the contract hashes it, without signatures.
+ * @param {*} transaction A Transaction, a SignedTransaction or an encoded transaction.
+ * @return {String} The encoded transaction.
+ */
+const encodeTransaction = (transaction) => {
+  if (transaction instanceof SignedTransaction) {
+    return '0x' + transaction.transactionEncoded
+  }
+  return '0x' + (transaction.encoded || transaction).replace(/^0x/, '')
+}
+
+/**
+ * Returns a serialized transaction proof.
+ * The proof carries the signature of the sender of each transfer.
+ * @param {*} transactionProof A TransactionProof or an encoded transaction proof.
+ * @return {String} The encoded transaction proof.
+ */
+const encodeTransactionProof = (transactionProof) => {
+  if (!(transactionProof instanceof TransactionProof)) {
+    transactionProof = new TransactionProof(transactionProof.replace(/^0x/, ''))
+  }
+  return '0x' + transactionProof.encoded
+}
+
+/**
+ * Formats a number the way the ABI encoder expects it.
+ * @param {*} value A Number, BN or numeric string.
+ * @return {String} The number in decimal.
+ */
+const toUint = (value) => {
+  return new BN(value).toString(10)
+}
+
+/**
+ * Returns calldata for starting an exit of the coins in a transfer.
+ * @param {*} transfer A Transfer object.
+ * @param {*} blockNumber Block the transfer was included in.
+ * @return {String} The calldata.
+ */
+const encodeBeginExit = (transfer, blockNumber) => {
+  const { token, start, end } = transfer.decoded
+  return ethAbi.encodeFunctionCall(abi.BEGIN_EXIT, [toUint(token), toUint(blockNumber), toUint(start), toUint(end)])
+}
+
+/**
+ * Returns calldata for challenging an exit of a coin that was spent later on.
+ * @param {*} exitId ID of the exit.
+ * @param {*} coinId ID of the spent coin.
+ * @param {*} transaction The transaction that spent the coin.
+ * @param {Number} transferIndex Index of the transfer that spent the coin.
+ * @param {*} transactionProof A TransactionProof for the transaction.
+ * @return {String} The calldata.
+ */
+const encodeChallengeSpentCoin = (exitId, coinId, transaction, transferIndex, transactionProof) => {
+  return ethAbi.encodeFunctionCall(abi.CHALLENGE_SPENT_COIN, [
+    toUint(exitId),
+    toUint(coinId),
+    transferIndex,
+    encodeTransaction(transaction),
+    encodeTransactionProof(transactionProof)
+  ])
+}
+
+/**
+ * Returns calldata for challenging an exit with an earlier transaction of the same coin.
+ * @param {*} exitId ID of the exit.
+ * @param {*} coinId ID of the coin.
+ * @param {*} transaction The earlier transaction.
+ * @param {Number} transferIndex Index of the transfer of the coin.
+ * @param {*} transactionProof A TransactionProof for the transaction.
+ * @return {String} The calldata.
+ */
+const encodeChallengeInvalidHistory = (exitId, coinId, transaction, transferIndex, transactionProof) => {
+  return ethAbi.encodeFunctionCall(abi.CHALLENGE_INVALID_HISTORY, [
+    toUint(exitId),
+    toUint(coinId),
+    transferIndex,
+    encodeTransaction(transaction),
+    encodeTransactionProof(transactionProof)
+  ])
+}
+
+/**
+ * Returns calldata for answering an inclusion challenge with the exited transaction.
+ * @param {*} challengeId ID of the challenge.
+ * @param {*} transaction The exited transaction.
+ * @param {Number} transferIndex Index of the exited transfer.
+ * @param {*} transactionProof A TransactionProof for the transaction.
+ * @return {String} The calldata.
+ */
+const encodeRespondTransactionInclusion = (challengeId, transaction, transferIndex, transactionProof) => {
+  return ethAbi.encodeFunctionCall(abi.RESPOND_TRANSACTION_INCLUSION, [
+    toUint(challengeId),
+    transferIndex,
+    encodeTransaction(transaction),
+    encodeTransactionProof(transactionProof)
+  ])
+}
+
+/**
+ * Returns calldata for answering an invalid history challenge with a later transaction of the coin.
+ * @param {*} challengeId ID of the challenge.
+ * @param {*} transaction The later transaction.
+ * @param {Number} transferIndex Index of the transfer of the coin.
+ * @param {*} transactionProof A TransactionProof for the transaction.
+ * @return {String} The calldata.
+ */
+const encodeRespondInvalidHistory = (challengeId, transaction, transferIndex, transactionProof) => {
+  return ethAbi.encodeFunctionCall(abi.RESPOND_INVALID_HISTORY, [
+    toUint(challengeId),
+    transferIndex,
+    encodeTransaction(transaction),
+    encodeTransactionProof(transactionProof)
+  ])
+}
+
+/**
+ * Returns calldata for checking a transaction proof on chain.
+ * @param {*} transaction The transaction.
+ * @param {Number} transferIndex Index of the transfer to check.
+ * @param {*} transactionProof A TransactionProof for the transaction.
+ * @return {String} The calldata.
+ */
+const encodeCheckTransactionProof = (transaction, transferIndex, transactionProof) => {
+  return ethAbi.encodeFunctionCall(abi.CHECK_TRANSACTION_PROOF, [
+    encodeTransaction(transaction),
+    encodeTransactionProof(transactionProof),
+    transferIndex
+  ])
+}
+
+module.exports = {
+  encodeBeginExit,
+  encodeChallengeSpentCoin,
+  encodeChallengeInvalidHistory,
+  encodeRespondTransactionInclusion,
+  encodeRespondInvalidHistory,
+  encodeCheckTransactionProof
+}
@@ -0,0 +1,7 @@
+const abi = require('./abi')
+const calldata = require('./calldata')
+
+module.exports = {
+  abi,
+  calldata
+}
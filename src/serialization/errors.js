@@ -0,0 +1,40 @@
+/**
+ * Error thrown when strictly decoding input that doesn't fit a schema.
+ * Names the field that couldn't be decoded and where it starts in the input.
+ */
+class DecodeError extends Error {
+  /**
+   * @param {String} path Path of the field, like `transfers[2].end`, or an empty string for the whole input.
+   * @param {Number} offset Byte offset of the field in the input.
+   * @param {String} reason Why the field couldn't be decoded.
+   */
+  constructor (path, offset, reason) {
+    super('Could not decode ' + (path || 'input') + ' at byte ' + offset + ': ' + reason)
+    this.name = 'DecodeError'
+    this.path = path
+    this.offset = offset
+    this.reason = reason
+  }
+}
+
+/**
+ * Error thrown when a value doesn't fit a schema.
+ * Lists every failed validator rather than just the first one.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {Array} violations List of `{ path, validator, value, message }` objects.
+   */
+  constructor (violations) {
+    super(violations.map((violation) => {
+      return violation.path ? violation.path + ': ' + violation.message : violation.message
+    }).join('; '))
+    this.name = 'ValidationError'
+    this.violations = violations
+  }
+}
+
+module.exports = {
+  DecodeError,
+  ValidationError
+}
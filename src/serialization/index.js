@@ -1,17 +1,19 @@
 const schemas = require('./schemas')
 const models = require('./models')
+const errors = require('./errors')
 
 const encode = (args, schema) => {
   return schema.encode(args)
 }
 
-const decode = (args, schema) => {
-  return schema.decode(args)
+const decode = (args, schema, options) => {
+  return schema.decode(args, options)
 }
 
 module.exports = {
   schemas,
   models,
+  errors,
   encode,
   decode
 }
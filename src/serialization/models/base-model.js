@@ -8,17 +8,28 @@ class BaseModel {
   constructor (args, schema) {
     this.schema = schema
 
+    // Encoded models often come from untrusted sources, so they're decoded strictly.
     if (args instanceof String || typeof args === 'string') {
-      args = this.schema.decode(args)
+      args = this.schema.decode(args, { strict: true })
+    } else if (Buffer.isBuffer(args)) {
+      args = this.schema.decodeBuffer(args, { strict: true })
     }
-    this.args = this.schema.cast(args)
+    // Validated first, so that values that can't be cast are reported with their path.
     this.schema.validate(args)
+    this.args = this.schema.cast(args)
   }
 
   get encoded () {
     return this.schema.encode(this.args)
   }
 
+  /**
+   * @return {Buffer} The encoded model, same bytes as `encoded`.
+   */
+  toBuffer () {
+    return this.schema.encodeBuffer(this.args)
+  }
+
   get decoded () {
     return this.args
   }
@@ -26,6 +37,16 @@ class BaseModel {
   get hash () {
     return Web3.utils.sha3('0x' + this.encoded)
   }
+
+  /**
+   * Decodes a model from a Buffer.
+   * Models can also be given a Buffer directly instead of their arguments.
+   * @param {Buffer} buffer Encoded model, as returned by `toBuffer`.
+   * @return {BaseModel} The decoded model.
+   */
+  static fromBuffer (buffer) {
+    return new this(buffer)
+  }
 }
 
 module.exports = BaseModel
@@ -0,0 +1,13 @@
+const BaseModel = require('./base-model')
+const schemas = require('../schemas')
+
+/**
+ * Represents the header of a plasma block, which is its number and the root of its sum tree.
+ */
+class BlockHeader extends BaseModel {
+  constructor (args) {
+    super(args, schemas.BlockHeaderSchema)
+  }
+}
+
+module.exports = BlockHeader
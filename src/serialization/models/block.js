@@ -0,0 +1,78 @@
+const BaseModel = require('./base-model')
+const schemas = require('../schemas')
+const SignedTransaction = require('./signed-transaction')
+const BlockHeader = require('./block-header')
+
+/**
+ * Represents a plasma block, which is its number and an ordered list of signed transactions.
+ */
+class Block extends BaseModel {
+  /**
+   * @param {*} args An encoded block as a hex string or Buffer, or its `number` and a list of `transactions`,
+   * either SignedTransaction objects or their decoded arguments.
+   */
+  constructor (args) {
+    let transactions
+    if (!(args instanceof String || typeof args === 'string' || Buffer.isBuffer(args))) {
+      transactions = args.transactions
+      args = {
+        number: args.number,
+        transactions: Array.isArray(transactions) ? transactions.map((transaction) => {
+          return (transaction instanceof SignedTransaction) ? transaction.decoded : transaction
+        }) : transactions
+      }
+    }
+    super(args, schemas.BlockSchema)
+
+    this.transactions = this.args.transactions.map((transaction, i) => {
+      const original = transactions && transactions[i]
+      return (original instanceof SignedTransaction) ? original : new SignedTransaction(transaction)
+    })
+  }
+
+  /**
+   * Sum tree of the transactions in this block.
+   * Built the first time it's used.
+   * Throws an InvalidBlockError if the transactions don't form a valid block.
+   * @return {PlasmaMerkleSumTree} The tree.
+   */
+  get tree () {
+    if (this._tree === undefined) {
+      // Required here because the sum tree depends on the serialization models.
+      const PlasmaMerkleSumTree = require('../../sum-tree/plasma-sum-tree')
+      this._tree = new PlasmaMerkleSumTree(this.transactions, this.args.number)
+    }
+    return this._tree
+  }
+
+  /**
+   * @return {MerkleTreeNode} The root of this block's sum tree, `undefined` if the block is empty.
+   */
+  root () {
+    return this.tree.root()
+  }
+
+  /**
+   * @return {BlockHeader} The number and root of this block.
+   */
+  get header () {
+    // Empty blocks have an all-zero root.
+    const root = this.root()
+    return new BlockHeader({
+      number: this.args.number,
+      root: root ? root.data : '00'.repeat(schemas.BlockHeaderSchema.fields.root.length / 2)
+    })
+  }
+
+  /**
+   * Returns an inclusion proof for each transfer in a transaction in this block.
+   * Throws if the transaction isn't in the block.
+   * @param {*} transaction The hash of the unsigned transaction, or a transaction equal to one in the block.
+   * @return {TransactionProof} A TransactionProof object.
+   */
+  getTransactionProof (transaction) {
+    return this.tree.getTransactionProof(transaction)
+  }
+}
+
+module.exports = Block
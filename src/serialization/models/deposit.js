@@ -0,0 +1,13 @@
+const BaseModel = require('./base-model')
+const schemas = require('../schemas')
+
+/**
+ * Represents a deposit of a range of coins into the plasma chain.
+ */
+class Deposit extends BaseModel {
+  constructor (args) {
+    super(args, schemas.DepositSchema)
+  }
+}
+
+module.exports = Deposit
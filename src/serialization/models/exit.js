@@ -0,0 +1,14 @@
+const BaseModel = require('./base-model')
+const schemas = require('../schemas')
+
+/**
+ * Represents an exit of a range of coins from the plasma chain.
+ * `block` is the block of the transfer being exited.
+ */
+class Exit extends BaseModel {
+  constructor (args) {
+    super(args, schemas.ExitSchema)
+  }
+}
+
+module.exports = Exit
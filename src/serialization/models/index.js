@@ -4,6 +4,12 @@ const Transaction = require('./transaction')
 const SignedTransaction = require('./signed-transaction')
 const TransferProof = require('./transfer-proof')
 const TransactionProof = require('./transaction-proof')
+const NonInclusionProof = require('./non-inclusion-proof')
+const MultiProof = require('./multi-proof')
+const Deposit = require('./deposit')
+const Exit = require('./exit')
+const BlockHeader = require('./block-header')
+const Block = require('./block')
 
 module.exports = {
   Signature,
@@ -11,5 +17,11 @@ module.exports = {
   Transaction,
   SignedTransaction,
   TransferProof,
-  TransactionProof
+  TransactionProof,
+  NonInclusionProof,
+  MultiProof,
+  Deposit,
+  Exit,
+  BlockHeader,
+  Block
 }
@@ -0,0 +1,14 @@
+const BaseModel = require('./base-model')
+const schemas = require('../schemas')
+
+/**
+ * Represents a combined proof for several leaves of the same tree.
+ * Sibling nodes shared between the leaves' branches are only included once.
+ */
+class MultiProof extends BaseModel {
+  constructor (args) {
+    super(args, schemas.MultiProofSchema)
+  }
+}
+
+module.exports = MultiProof
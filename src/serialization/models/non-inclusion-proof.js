@@ -0,0 +1,14 @@
+const BaseModel = require('./base-model')
+const schemas = require('../schemas')
+
+/**
+ * Represents a proof that no transaction in a block touched a given range of coins.
+ * Consists of the transaction whose branch covers the range and a proof for that branch.
+ */
+class NonInclusionProof extends BaseModel {
+  constructor (args) {
+    super(args, schemas.NonInclusionProofSchema)
+  }
+}
+
+module.exports = NonInclusionProof
@@ -1,6 +1,9 @@
+const Web3 = require('web3')
 const BaseModel = require('./base-model')
 const schemas = require('../schemas')
 
+const accounts = new Web3().eth.accounts
+
 /**
  * Represents a transaction signature.
  */
@@ -8,6 +11,31 @@ class Signature extends BaseModel {
   constructor (args) {
     super(args, schemas.SignatureSchema)
   }
+
+  /**
+   * Recovers the address that produced this signature.
+   * @param {String} hash The hash that was signed.
+   * @return {String} Address of the signer.
+   */
+  recover (hash) {
+    const signature = '0x' + this.args.r.toString('hex') + this.args.s.toString('hex') + this.args.v.toString('hex')
+    return accounts.recover(hash, signature)
+  }
+
+  /**
+   * Signs a hash with the given private key.
+   * @param {String} hash The hash to sign.
+   * @param {String} privateKey Private key to sign with.
+   * @return {Signature} The resulting signature.
+   */
+  static sign (hash, privateKey) {
+    const signature = accounts.sign(hash, privateKey)
+    return new Signature({
+      v: signature.v.slice(2),
+      r: signature.r.slice(2),
+      s: signature.s.slice(2)
+    })
+  }
 }
 
 module.exports = Signature
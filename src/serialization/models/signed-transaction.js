@@ -1,3 +1,4 @@
+const Web3 = require('web3')
 const BaseModel = require('./base-model')
 const schemas = require('../schemas')
 const Transfer = require('./transfer')
@@ -16,6 +17,55 @@ class SignedTransaction extends BaseModel {
       return new Signature(signature)
     })
   }
+
+  /**
+   * Encoding of the underlying unsigned transaction.
+   * This is the encoding that each sender signs.
+   * @return {String} Encoded transaction.
+   */
+  get transactionEncoded () {
+    return schemas.TransactionSchema.encode(this.args)
+  }
+
+  /**
+   * Hash of the underlying unsigned transaction.
+   * Equal to the `hash` of the matching Transaction.
+   * @return {String} Transaction hash.
+   */
+  get transactionHash () {
+    return Web3.utils.sha3('0x' + this.transactionEncoded)
+  }
+
+  /**
+   * Recovers the address that produced each signature.
+   * @return {Array<String>} Signer of each signature, in order.
+   */
+  recoverSenders () {
+    const hash = this.transactionHash
+    return this.signatures.map((signature) => {
+      return signature.recover(hash)
+    })
+  }
+
+  /**
+   * Checks that every transfer was signed by its sender.
+   * @return {boolean} `true` if all signatures are valid, `false` otherwise.
+   */
+  verify () {
+    if (this.signatures.length !== this.transfers.length) {
+      return false
+    }
+
+    let senders
+    try {
+      senders = this.recoverSenders()
+    } catch (err) {
+      return false
+    }
+    return this.transfers.every((transfer, i) => {
+      return transfer.args.sender.toLowerCase() === senders[i].toLowerCase()
+    })
+  }
 }
 
 module.exports = SignedTransaction
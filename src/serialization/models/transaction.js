@@ -1,6 +1,11 @@
+const Web3 = require('web3')
 const BaseModel = require('./base-model')
 const schemas = require('../schemas')
 const Transfer = require('./transfer')
+const Signature = require('./signature')
+const SignedTransaction = require('./signed-transaction')
+
+const accounts = new Web3().eth.accounts
 
 /**
  * Represents a transaction.
@@ -12,6 +17,47 @@ class Transaction extends BaseModel {
       return new Transfer(transfer)
     })
   }
+
+  /**
+   * Signs this transaction on behalf of each distinct transfer sender.
+   * @param {*} privateKeys A private key or a list of private keys, one for each distinct sender.
+   * @return {SignedTransaction} The transaction along with a signature for each transfer.
+   */
+  sign (privateKeys) {
+    if (!Array.isArray(privateKeys)) {
+      privateKeys = [privateKeys]
+    }
+
+    let keys = {}
+    privateKeys.forEach((privateKey) => {
+      const address = accounts.privateKeyToAccount(privateKey).address
+      keys[address.toLowerCase()] = privateKey
+    })
+
+    // Each distinct sender only has to sign once.
+    let signatures = {}
+    const hash = this.hash
+    this.transfers.forEach((transfer) => {
+      const sender = transfer.args.sender.toLowerCase()
+      if (sender in signatures) {
+        return
+      }
+      if (!(sender in keys)) {
+        throw new Error('Missing private key for sender ' + transfer.args.sender)
+      }
+      signatures[sender] = Signature.sign(hash, keys[sender])
+    })
+
+    return new SignedTransaction({
+      block: this.args.block,
+      transfers: this.args.transfers.map((transfer) => {
+        return { ...transfer }
+      }),
+      signatures: this.transfers.map((transfer) => {
+        return { ...signatures[transfer.args.sender.toLowerCase()].decoded }
+      })
+    })
+  }
 }
 
 module.exports = Transaction
@@ -36,6 +36,16 @@ class SchemaAddress extends BaseSchemaType {
     this.validate(decoded)
     return decoded
   }
+
+  encodeBuffer (value) {
+    return Buffer.from(value.substring(2), 'hex')
+  }
+
+  decodeBuffer (buffer) {
+    const decoded = '0x' + buffer.toString('hex')
+    this.validate(decoded)
+    return decoded
+  }
 }
 
 module.exports = SchemaAddress
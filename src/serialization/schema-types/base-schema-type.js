@@ -1,3 +1,5 @@
+const ValidationError = require('../errors').ValidationError
+
 /**
  * Base schema type that can be extended.
  */
@@ -49,6 +51,7 @@ class BaseSchemaType {
 
   /**
    * Checks a value against a validator.
+   * Throws a ValidationError if the value doesn't pass.
    * @param {*} validator Validator to check against.
    * @param {*} value Value to check.
    */
@@ -57,19 +60,84 @@ class BaseSchemaType {
       validator = this.getValidator(validator)
     }
 
-    if (!validator.validate(value)) {
-      throw new Error(validator.message)
+    const violation = this._checkValidator(validator, value, value, '')
+    if (violation !== null) {
+      throw new ValidationError([violation])
     }
   }
 
   /**
    * Checks a value against all active validators.
+   * Throws a ValidationError listing every validator the value doesn't pass.
    * @param {*} value Value to check.
    */
   validate (value) {
-    this.activeValidators.forEach((validator) => {
-      this.checkValidator(validator, value)
-    })
+    const violations = this.errors(value)
+    if (violations.length > 0) {
+      throw new ValidationError(violations)
+    }
+  }
+
+  /**
+   * Checks a value against all active validators without throwing.
+   * Values are checked the way they'd be cast, so form input like plain numbers can be checked directly.
+   * A missing value only fails the `required` validator, and a value that can't be cast fails with a `type` violation.
+   * @param {*} value Value to check.
+   * @param {String} path Path of the value, used in each violation.
+   * @return {Array} List of `{ path, validator, value, message }` objects, empty if the value is valid.
+   */
+  errors (value, path = '') {
+    if (value === undefined || value === null) {
+      const required = this.getValidator('required')
+      return required ? [this._getViolation(required.type, value, path, required.message)] : []
+    }
+
+    let cast
+    try {
+      cast = this.cast(value)
+    } catch (err) {
+      return [this._getViolation('type', value, path, 'Value could not be cast: ' + err.message)]
+    }
+
+    return this.activeValidators.map((validator) => {
+      return this._checkValidator(validator, value, cast, path)
+    }).filter((violation) => violation !== null)
+  }
+
+  /**
+   * Checks a value against a single validator.
+   * Validators that throw are reported as a `type` violation rather than with their own message.
+   * @param {*} validator Validator to check against.
+   * @param {*} value Value as it was given, used in the violation.
+   * @param {*} cast Value as it was cast, which is what gets checked.
+   * @param {String} path Path of the value.
+   * @return {*} A `{ path, validator, value, message }` object, or `null` if the value passes.
+   */
+  _checkValidator (validator, value, cast, path) {
+    try {
+      if (validator.validate(cast)) {
+        return null
+      }
+    } catch (err) {
+      return this._getViolation('type', value, path, 'Value has the wrong type for the ' + validator.type + ' validator')
+    }
+    return this._getViolation(validator.type, value, path, validator.message)
+  }
+
+  /**
+   * @param {String} validator Type of the failed validator.
+   * @param {*} value The invalid value.
+   * @param {String} path Path of the value.
+   * @param {String} message Why the value is invalid.
+   * @return {*} A `{ path, validator, value, message }` object.
+   */
+  _getViolation (validator, value, path, message) {
+    return {
+      path: path,
+      validator: validator,
+      value: value,
+      message: message
+    }
   }
 
   /**
@@ -99,6 +167,25 @@ class BaseSchemaType {
     return value
   }
 
+  /**
+   * Encodes the value as a Buffer.
+   * Goes through the hex encoding unless a type has a faster way.
+   * @param {*} value Value to encode.
+   * @return {Buffer} The encoded value.
+   */
+  encodeBuffer (value) {
+    return Buffer.from(this.encode(value), 'hex')
+  }
+
+  /**
+   * Decodes a Buffer value to fit this schema type.
+   * @param {Buffer} buffer Buffer to decode.
+   * @return {*} The decoded object.
+   */
+  decodeBuffer (buffer) {
+    return this.decode(buffer.toString('hex'))
+  }
+
   /**
    * Initializes all validators by the given options.
    */
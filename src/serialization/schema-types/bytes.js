@@ -49,6 +49,17 @@ class SchemaBuffer extends BaseSchemaType {
     this.validate(decoded)
     return decoded
   }
+
+  encodeBuffer (value) {
+    return value
+  }
+
+  decodeBuffer (buffer) {
+    // Copied so the decoded value doesn't keep the whole input alive.
+    const decoded = Buffer.from(buffer)
+    this.validate(decoded)
+    return decoded
+  }
 }
 
 module.exports = SchemaBuffer
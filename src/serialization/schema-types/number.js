@@ -48,6 +48,16 @@ class SchemaNumber extends BaseSchemaType {
     this.validate(decoded)
     return decoded
   }
+
+  encodeBuffer (value) {
+    return value.toArrayLike(Buffer, 'be', this.options.length)
+  }
+
+  decodeBuffer (buffer) {
+    const decoded = new BigNum(buffer)
+    this.validate(decoded)
+    return decoded
+  }
 }
 
 module.exports = SchemaNumber
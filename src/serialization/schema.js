@@ -1,4 +1,61 @@
 const BigNum = require('bn.js')
+const errors = require('./errors')
+const DecodeError = errors.DecodeError
+const ValidationError = errors.ValidationError
+
+// Reads fields out of a hex string, where each byte takes two characters.
+const HEX_CODEC = {
+  unitsPerByte: 2,
+  decode: (field, value) => field.decode(value),
+  readLength: (value) => new BigNum(value, 'hex').toNumber()
+}
+
+// Reads fields out of a Buffer.
+const BUFFER_CODEC = {
+  unitsPerByte: 1,
+  decode: (field, value) => field.decodeBuffer(value),
+  readLength: (value) => new BigNum(value).toNumber()
+}
+
+// Number of bytes used to encode the length of an array, unless a field sets `lengthPrefix`.
+const DEFAULT_LENGTH_PREFIX = 1
+
+/**
+ * Returns the largest array length that fits in a field's length prefix.
+ * @param {*} field An array field.
+ * @return {Number} The maximum length.
+ */
+const getMaxArrayLength = (field) => {
+  return Math.pow(2, 8 * field.lengthPrefix) - 1
+}
+
+/**
+ * Describes an array that's too long for its field's length prefix.
+ * @param {*} field An array field.
+ * @param {String} path Path of the field.
+ * @param {Array} value The array.
+ * @return {*} A `{ path, validator, value, message }` object.
+ */
+const getLengthPrefixViolation = (field, path, value) => {
+  return {
+    path: path,
+    validator: 'lengthPrefix',
+    value: value,
+    message: 'Array has ' + value.length + ' items, but its ' + field.lengthPrefix + ' byte length prefix only fits ' + getMaxArrayLength(field)
+  }
+}
+
+/**
+ * Checks that an array fits in its field's length prefix, so it can be encoded.
+ * @param {*} field An array field.
+ * @param {String} key Name of the field.
+ * @param {Array} value The array.
+ */
+const checkArrayLength = (field, key, value) => {
+  if (value.length > getMaxArrayLength(field)) {
+    throw new ValidationError([getLengthPrefixViolation(field, key, value)])
+  }
+}
 
 /**
  * Class used to define schemas.
@@ -17,24 +74,68 @@ class Schema {
     let length = 0
     for (let key in this.fields) {
       let field = this.fields[key]
-      length += field.length + Number(field.isArray) * 2
+      length += field.length + Number(field.isArray) * field.lengthPrefix * 2
     }
     return length
   }
 
   /**
    * Validates an object against the schema.
+   * Throws a ValidationError listing every field that doesn't fit.
    * @param {*} object Object to check.
    */
   validate (object) {
+    const violations = this.errors(object)
+    if (violations.length > 0) {
+      throw new ValidationError(violations)
+    }
+  }
+
+  /**
+   * Checks whether an object fits the schema without throwing.
+   * @param {*} object Object to check.
+   * @return {boolean} `true` if the object is valid, `false` otherwise.
+   */
+  isValid (object) {
+    return this.errors(object).length === 0
+  }
+
+  /**
+   * Lists the ways an object doesn't fit the schema, including within arrays and nested schemas.
+   * @param {*} object Object to check.
+   * @param {String} path Path of the object, prepended to the path of each field.
+   * @return {Array} List of `{ path, validator, value, message }` objects, empty if the object is valid.
+   */
+  errors (object, path = '') {
+    if (object === null || typeof object !== 'object') {
+      return [{ path: path, validator: 'type', value: object, message: 'Value must be an object' }]
+    }
+
+    let violations = []
     for (let key in this.fields) {
       let field = this.fields[key]
-      if (field.isArray) {
-        object[key].forEach(field.validate.bind(field))
+      const fieldPath = path ? path + '.' + key : key
+      const value = object[key]
+      if (!field.isArray) {
+        violations = violations.concat(field.errors(value, fieldPath))
+      } else if (!Array.isArray(value)) {
+        violations.push({ path: fieldPath, validator: 'type', value: value, message: 'Value must be an array' })
       } else {
-        field.validate(object[key])
+        if (field.minItems !== undefined && value.length < field.minItems) {
+          violations.push({ path: fieldPath, validator: 'minItems', value: value, message: 'Array must have at least ' + field.minItems + ' items' })
+        }
+        if (field.maxItems !== undefined && value.length > field.maxItems) {
+          violations.push({ path: fieldPath, validator: 'maxItems', value: value, message: 'Array must have at most ' + field.maxItems + ' items' })
+        }
+        if (value.length > getMaxArrayLength(field)) {
+          violations.push(getLengthPrefixViolation(field, fieldPath, value))
+        }
+        value.forEach((element, i) => {
+          violations = violations.concat(field.errors(element, fieldPath + '[' + i + ']'))
+        })
       }
     }
+    return violations
   }
 
   /**
@@ -56,6 +157,7 @@ class Schema {
 
   /**
    * Encodes an object to a hex string.
+   * Throws a ValidationError if an array is too long for its length prefix.
    * @param {*} object Object to encode.
    * @return {String} Encoded object.
    */
@@ -64,7 +166,8 @@ class Schema {
     for (let key in this.fields) {
       let field = this.fields[key]
       if (field.isArray) {
-        encoded += new BigNum(object[key].length).toString('hex', 2)
+        checkArrayLength(field, key, object[key])
+        encoded += new BigNum(object[key].length).toString('hex', field.lengthPrefix * 2)
         for (let i = 0; i < object[key].length; i++) {
           encoded += field.encode(object[key][i])
         }
@@ -75,40 +178,169 @@ class Schema {
     return encoded
   }
 
+  /**
+   * Encodes an object to a Buffer.
+   * Results in the same bytes as the hex encoding.
+   * @param {*} object Object to encode.
+   * @return {Buffer} Encoded object.
+   */
+  encodeBuffer (object) {
+    let parts = []
+    this._encodeBuffer(object, parts)
+    return Buffer.concat(parts)
+  }
+
+  /**
+   * Adds the encoded parts of an object to a list, so nested schemas are only concatenated once.
+   * @param {*} object Object to encode.
+   * @param {Array<Buffer>} parts List of encoded parts so far.
+   */
+  _encodeBuffer (object, parts) {
+    const encodeField = (field, value) => {
+      if (field instanceof Schema) {
+        field._encodeBuffer(value, parts)
+      } else {
+        parts.push(field.encodeBuffer(value))
+      }
+    }
+
+    for (let key in this.fields) {
+      let field = this.fields[key]
+      if (field.isArray) {
+        checkArrayLength(field, key, object[key])
+        parts.push(new BigNum(object[key].length).toArrayLike(Buffer, 'be', field.lengthPrefix))
+        for (let i = 0; i < object[key].length; i++) {
+          encodeField(field, object[key][i])
+        }
+      } else {
+        encodeField(field, object[key])
+      }
+    }
+  }
+
   /**
    * Decodes a hex string into an object that fits the schema.
+   * In strict mode, throws a DecodeError unless the string is valid hex of exactly the expected length.
    * @param {*} str String to decode.
+   * @param {*} options Optional `strict` flag.
+   * @return {*} Decoded object.
+   */
+  decode (str, options = {}) {
+    if (options.strict) {
+      const invalid = str.search(/[^0-9a-fA-F]/)
+      if (invalid !== -1) {
+        throw new DecodeError('', Math.floor(invalid / 2), 'invalid hex character')
+      }
+      if (str.length % 2 !== 0) {
+        throw new DecodeError('', Math.floor(str.length / 2), 'odd number of hex characters')
+      }
+    }
+    return this._decodeStrict(str, HEX_CODEC, options)
+  }
+
+  /**
+   * Decodes a Buffer into an object that fits the schema.
+   * In strict mode, throws a DecodeError unless the Buffer is exactly the expected length.
+   * @param {Buffer} buffer Buffer to decode.
+   * @param {*} options Optional `strict` flag.
    * @return {*} Decoded object.
    */
-  decode (str) {
+  decodeBuffer (buffer, options = {}) {
+    return this._decodeStrict(buffer, BUFFER_CODEC, options)
+  }
+
+  /**
+   * Decodes a whole input and, in strict mode, rejects any data left after the object.
+   * @param {*} input Hex string or Buffer to decode.
+   * @param {*} codec How to read the input.
+   * @param {*} options Optional `strict` flag.
+   * @return {*} Decoded object.
+   */
+  _decodeStrict (input, codec, options) {
+    const result = this._decode(input, 0, codec, Boolean(options.strict), '')
+    if (options.strict && result.length < input.length) {
+      throw new DecodeError('', result.length / codec.unitsPerByte, (input.length - result.length) / codec.unitsPerByte + ' bytes of trailing data')
+    }
+    return result.decoded
+  }
+
+  /**
+   * Decodes an object starting at a given position in a hex string or Buffer.
+   * Nested schemas may contain arrays, so their size is only known after decoding.
+   * @param {*} input Hex string or Buffer to decode.
+   * @param {Number} offset Index to start decoding from, in characters for strings and bytes for Buffers.
+   * @param {*} codec How to read the input.
+   * @param {boolean} strict Whether to throw a DecodeError for truncated input or invalid fields.
+   * @param {String} path Path of this object within the decoded object, used in errors.
+   * @return {*} The decoded object and the number of characters or bytes it used.
+   */
+  _decode (input, offset, codec = HEX_CODEC, strict = false, path = '') {
     let decoded = {}
-    let currentIndex = 0
+    let currentIndex = offset
 
-    const slice = (string, length) => {
-      const ret = string.slice(currentIndex, currentIndex + length)
+    const slice = (length, fieldPath) => {
+      if (strict && currentIndex + length > input.length) {
+        const missing = (currentIndex + length - input.length) / codec.unitsPerByte
+        throw new DecodeError(fieldPath, currentIndex / codec.unitsPerByte, 'input ends ' + missing + ' bytes early')
+      }
+      const ret = input.slice(currentIndex, currentIndex + length)
       currentIndex += length
       return ret
     }
 
+    const decodeField = (field, fieldPath) => {
+      if (field instanceof Schema) {
+        const result = field._decode(input, currentIndex, codec, strict, fieldPath)
+        currentIndex += result.length
+        return result.decoded
+      }
+
+      const start = currentIndex
+      const value = slice(field.length / 2 * codec.unitsPerByte, fieldPath)
+      if (!strict) {
+        return codec.decode(field, value)
+      }
+      try {
+        return codec.decode(field, value)
+      } catch (err) {
+        throw new DecodeError(fieldPath, start / codec.unitsPerByte, err.message)
+      }
+    }
+
     for (let key in this.fields) {
       let field = this.fields[key]
+      const fieldPath = path ? path + '.' + key : key
       if (field.isArray) {
         decoded[key] = []
 
-        let arrLen = new BigNum(slice(str, 2), 'hex').toNumber()
+        const start = currentIndex
+        let arrLen = codec.readLength(slice(field.lengthPrefix * codec.unitsPerByte, fieldPath))
+        // Checked before decoding so untrusted input can't claim a huge number of items.
+        if (strict && field.maxItems !== undefined && arrLen > field.maxItems) {
+          throw new DecodeError(fieldPath, start / codec.unitsPerByte, arrLen + ' items is more than the maximum of ' + field.maxItems)
+        }
         for (let i = 0; i < arrLen; i++) {
-          decoded[key].push(field.decode(slice(str, field.length)))
+          // Items past the end of the input can't exist, even if the length prefix claims them.
+          // Strict decoding keeps going so that it throws for the first missing item.
+          if (!strict && currentIndex >= input.length) {
+            break
+          }
+          decoded[key].push(decodeField(field, fieldPath + '[' + i + ']'))
         }
       } else {
-        decoded[key] = field.decode(slice(str, field.length))
+        decoded[key] = decodeField(field, fieldPath)
       }
     }
 
-    return decoded
+    return {
+      decoded: decoded,
+      length: currentIndex - offset
+    }
   }
 
   /**
    * Parses the given fields into instances of each schema type.
+   * Array fields can set the byte size of their `lengthPrefix` and their `minItems` and `maxItems`.
    */
   _parseFields (fields) {
     let parsedFields = {}
@@ -116,8 +348,12 @@ class Schema {
       let field = fields[key]
       const isArray = Array.isArray(field.type)
       const type = isArray ? field.type[0] : field.type
-      parsedFields[key] = (type instanceof Schema) ? type : new type(field)
+      // Nested schemas are shared between parents, so each field gets its own view.
+      parsedFields[key] = (type instanceof Schema) ? Object.create(type) : new type(field)
       parsedFields[key].isArray = isArray
+      parsedFields[key].lengthPrefix = field.lengthPrefix || DEFAULT_LENGTH_PREFIX
+      parsedFields[key].minItems = field.minItems
+      parsedFields[key].maxItems = field.maxItems
     }
     return parsedFields
   }
@@ -0,0 +1,18 @@
+const Schema = require('../schema')
+const Number = require('../schema-types/number')
+const Bytes = require('../schema-types/bytes')
+
+const BlockHeaderSchema = new Schema({
+  number: {
+    type: Number,
+    length: 4,
+    required: true
+  },
+  root: {
+    type: Bytes,
+    length: 48,
+    required: true
+  }
+})
+
+module.exports = BlockHeaderSchema
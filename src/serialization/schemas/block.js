@@ -0,0 +1,17 @@
+const Schema = require('../schema')
+const Number = require('../schema-types/number')
+const SignedTransactionSchema = require('./signed-transaction')
+
+const BlockSchema = new Schema({
+  number: {
+    type: Number,
+    length: 4,
+    required: true
+  },
+  transactions: {
+    type: [SignedTransactionSchema],
+    lengthPrefix: 4
+  }
+})
+
+module.exports = BlockSchema
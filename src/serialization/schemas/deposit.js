@@ -0,0 +1,32 @@
+const Schema = require('../schema')
+const Address = require('../schema-types/address')
+const Number = require('../schema-types/number')
+
+const DepositSchema = new Schema({
+  owner: {
+    type: Address,
+    required: true
+  },
+  token: {
+    type: Number,
+    length: 4,
+    required: true
+  },
+  start: {
+    type: Number,
+    length: 12,
+    required: true
+  },
+  end: {
+    type: Number,
+    length: 12,
+    required: true
+  },
+  block: {
+    type: Number,
+    length: 4,
+    required: true
+  }
+})
+
+module.exports = DepositSchema
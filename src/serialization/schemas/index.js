@@ -4,6 +4,13 @@ const TransactionSchema = require('./transaction')
 const SignedTransactionSchema = require('./signed-transaction')
 const TransferProofSchema = require('./transfer-proof')
 const TransactionProofSchema = require('./transaction-proof')
+const NonInclusionProofSchema = require('./non-inclusion-proof')
+const MultiProofLeafSchema = require('./multi-proof-leaf')
+const MultiProofSchema = require('./multi-proof')
+const DepositSchema = require('./deposit')
+const ExitSchema = require('./exit')
+const BlockHeaderSchema = require('./block-header')
+const BlockSchema = require('./block')
 
 module.exports = {
   SignatureSchema,
@@ -11,5 +18,12 @@ module.exports = {
   TransactionSchema,
   SignedTransactionSchema,
   TransferProofSchema,
-  TransactionProofSchema
+  TransactionProofSchema,
+  NonInclusionProofSchema,
+  MultiProofLeafSchema,
+  MultiProofSchema,
+  DepositSchema,
+  ExitSchema,
+  BlockHeaderSchema,
+  BlockSchema
 }
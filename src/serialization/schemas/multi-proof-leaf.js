@@ -0,0 +1,19 @@
+const Schema = require('../schema')
+const Number = require('../schema-types/number')
+const Signature = require('./signature')
+
+const MultiProofLeafSchema = new Schema({
+  leafIndex: {
+    type: Number,
+    length: 16
+  },
+  parsedSum: {
+    type: Number,
+    length: 16
+  },
+  signature: {
+    type: Signature
+  }
+})
+
+module.exports = MultiProofLeafSchema
@@ -0,0 +1,22 @@
+const Schema = require('../schema')
+const Number = require('../schema-types/number')
+const Bytes = require('../schema-types/bytes')
+const MultiProofLeafSchema = require('./multi-proof-leaf')
+
+const MultiProofSchema = new Schema({
+  depth: {
+    type: Number,
+    length: 1
+  },
+  leaves: {
+    type: [MultiProofLeafSchema],
+    lengthPrefix: 4
+  },
+  nodes: {
+    type: [Bytes],
+    length: 48,
+    lengthPrefix: 4
+  }
+})
+
+module.exports = MultiProofSchema
@@ -0,0 +1,14 @@
+const Schema = require('../schema')
+const TransactionSchema = require('./transaction')
+const TransferProofSchema = require('./transfer-proof')
+
+const NonInclusionProofSchema = new Schema({
+  transaction: {
+    type: TransactionSchema
+  },
+  transferProof: {
+    type: TransferProofSchema
+  }
+})
+
+module.exports = NonInclusionProofSchema
@@ -6,7 +6,7 @@ const SignatureSchema = require('./signature')
 const SignedTransactionSchema = new Schema({
   block: {
     type: Number,
-    length: 32,
+    length: 4,
     required: true
   },
   transfers: {
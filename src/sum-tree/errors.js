@@ -0,0 +1,29 @@
+/**
+ * Error thrown when the transactions given to a sum tree don't form a valid block.
+ * Each violation names the offending transactions and transfers.
+ */
+class InvalidBlockError extends Error {
+  /**
+   * @param {Array} violations List of `{ reason, message, transactions, transferIndices }` objects.
+   */
+  constructor (violations) {
+    super('Invalid block: ' + violations.map((violation) => violation.message).join('; '))
+    this.name = 'InvalidBlockError'
+    this.violations = violations
+  }
+}
+
+/**
+ * Error thrown when a stored sum tree doesn't match its transactions or its root.
+ */
+class TreeIntegrityError extends Error {
+  constructor (message) {
+    super('Invalid tree data: ' + message)
+    this.name = 'TreeIntegrityError'
+  }
+}
+
+module.exports = {
+  InvalidBlockError,
+  TreeIntegrityError
+}
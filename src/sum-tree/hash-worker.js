@@ -0,0 +1,47 @@
+/**
+ * Worker thread used by ParallelTreeBuilder to hash chunks of a sum tree.
+ * Receives `{ id, type, data }` messages and replies with `{ id, result }`.
+ */
+const parentPort = require('worker_threads').parentPort
+const keccak256 = require('js-sha3').keccak256
+
+const HASH_BYTE_SIZE = 32
+const SUM_BYTE_SIZE = 16
+const NODE_BYTE_SIZE = HASH_BYTE_SIZE + SUM_BYTE_SIZE
+
+/**
+ * Hashes each leaf encoding.
+ * @param {Array<Uint8Array>} encodings Encoded transaction of each leaf.
+ * @return {Buffer} The hashes, one after another.
+ */
+const hashLeaves = (encodings) => {
+  let hashes = Buffer.alloc(encodings.length * HASH_BYTE_SIZE)
+  encodings.forEach((encoded, i) => {
+    Buffer.from(keccak256.arrayBuffer(encoded)).copy(hashes, i * HASH_BYTE_SIZE)
+  })
+  return hashes
+}
+
+/**
+ * Computes the hash of the parent of each pair of nodes.
+ * An odd node at the end is paired with an empty node.
+ * Parent sums are left to the main thread, which has the children's full sums rather than their truncated encoding.
+ * @param {Uint8Array} nodes Encoded nodes, one after another.
+ * @return {Buffer} The parent hashes, one after another.
+ */
+const hashParents = (nodes) => {
+  nodes = Buffer.from(nodes.buffer, nodes.byteOffset, nodes.byteLength)
+  const numNodes = nodes.length / NODE_BYTE_SIZE
+  let parents = Buffer.alloc(Math.ceil(numNodes / 2) * HASH_BYTE_SIZE)
+  for (let i = 0; i < numNodes; i += 2) {
+    let pair = Buffer.alloc(2 * NODE_BYTE_SIZE)
+    nodes.copy(pair, 0, i * NODE_BYTE_SIZE, Math.min(i + 2, numNodes) * NODE_BYTE_SIZE)
+    Buffer.from(keccak256.arrayBuffer(pair)).copy(parents, (i / 2) * HASH_BYTE_SIZE)
+  }
+  return parents
+}
+
+parentPort.on('message', ({ id, type, data }) => {
+  const result = (type === 'leaves') ? hashLeaves(data) : hashParents(data)
+  parentPort.postMessage({ id: id, result: result })
+})
@@ -0,0 +1,117 @@
+// Number of hash characters shown in each DOT node label.
+const DOT_HASH_LENGTH = 8
+
+/**
+ * Formats a number as a 0x-prefixed hex string.
+ * @param {*} value A BN.
+ * @return {String} The hex string.
+ */
+const toHex = (value) => {
+  return '0x' + value.toString(16)
+}
+
+/**
+ * Returns the leaves of a plasma tree along with their transfers and implied ranges.
+ * @param {*} tree A PlasmaMerkleSumTree.
+ * @return {Array} List of leaf descriptions.
+ */
+const inspectLeaves = (tree) => {
+  const transactionIndices = new Map(tree.leaves.map((transaction, i) => [transaction, i]))
+
+  return tree.leafTransfers.map(({ transaction, transferIndex }, leafIndex) => {
+    const transfer = transaction.transfers[transferIndex].decoded
+    const impliedRange = tree.getImpliedRange(leafIndex)
+    return {
+      leafIndex: leafIndex,
+      transactionIndex: transactionIndices.get(transaction),
+      transferIndex: transferIndex,
+      hash: tree.levels[0][leafIndex].hash,
+      transfer: {
+        sender: transfer.sender,
+        recipient: transfer.recipient,
+        token: transfer.token.toString(10),
+        start: transfer.start.toString(10),
+        end: transfer.end.toString(10)
+      },
+      impliedRange: {
+        start: toHex(impliedRange.start),
+        end: toHex(impliedRange.end)
+      }
+    }
+  })
+}
+
+/**
+ * Describes every node of a sum tree as plain JSON.
+ * Plasma trees also describe which transfer each leaf came from and the range of coins it implies.
+ * Sums and coin IDs are hex strings, token and transfer bounds are decimal strings.
+ * @param {MerkleSumTree} tree The tree to inspect.
+ * @return {*} A `{ root, levels, leaves }` object, where `leaves` is only set for plasma trees.
+ */
+const inspect = (tree) => {
+  const root = tree.root()
+  let inspection = {
+    root: root ? { hash: root.hash, sum: toHex(root.sum) } : null,
+    levels: tree.levels.map((level) => {
+      return level.map((node, index) => {
+        return {
+          index: index,
+          hash: node.hash,
+          sum: toHex(node.sum)
+        }
+      })
+    })
+  }
+
+  if (tree.leafTransfers !== undefined) {
+    inspection.leaves = inspectLeaves(tree)
+  }
+  return inspection
+}
+
+/**
+ * Renders a sum tree as a Graphviz DOT graph, with the root at the top.
+ * Empty nodes used to pad odd levels are drawn with dashed lines.
+ * @param {MerkleSumTree} tree The tree to render.
+ * @return {String} The DOT source.
+ */
+const toDot = (tree) => {
+  const leaves = (tree.leafTransfers !== undefined) ? inspectLeaves(tree) : []
+  const nodeId = (depth, index) => 'n' + depth + '_' + index
+  let lines = [
+    'digraph MerkleSumTree {',
+    '  node [shape=box, fontname="monospace"];'
+  ]
+
+  tree.levels.forEach((level, depth) => {
+    level.forEach((node, index) => {
+      let label = node.hash.slice(0, DOT_HASH_LENGTH) + '\\nsum: ' + toHex(node.sum)
+      if (depth === 0 && leaves[index] !== undefined) {
+        const { transactionIndex, transferIndex, impliedRange } = leaves[index]
+        label += '\\ntx ' + transactionIndex + ', transfer ' + transferIndex + '\\n[' + impliedRange.start + ', ' + impliedRange.end + ')'
+      }
+      lines.push('  ' + nodeId(depth, index) + ' [label="' + label + '"];')
+    })
+
+    // Odd levels are padded with an empty node on the right.
+    if (depth < tree.levels.length - 1 && level.length % 2 === 1) {
+      const empty = tree.emptyLeaf()
+      lines.push('  ' + nodeId(depth, level.length) + ' [label="' + empty.hash.slice(0, DOT_HASH_LENGTH) + '\\nsum: 0x0", style=dashed];')
+    }
+  })
+
+  tree.levels.slice(1).forEach((level, parentDepth) => {
+    level.forEach((node, index) => {
+      lines.push('  ' + nodeId(parentDepth + 1, index) + ' -> ' + nodeId(parentDepth, 2 * index) + ';')
+      lines.push('  ' + nodeId(parentDepth + 1, index) + ' -> ' + nodeId(parentDepth, 2 * index + 1) + ';')
+    })
+  })
+
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  inspect,
+  toDot
+}
@@ -1,19 +1,52 @@
 const BN = require('web3').utils.BN
 
+const HASH_BYTE_SIZE = 32
+const SUM_BYTE_SIZE = 16
+
 /**
  * Represents a Merkle tree node.
+ * The node is stored as a single Buffer of its hash followed by its sum.
+ * Hashes are 32 bytes and sums are 16 bytes unless the tree is built with other options.
  */
 class MerkleTreeNode {
-  constructor (hash, sum) {
-    this.sum = new BN(sum)
+  /**
+   * @param {*} hash Hash of the node, either a Buffer or a hex string.
+   * @param {*} sum Sum of the node.
+   * @param {Number} sumByteSize Number of bytes the sum is stored in.
+   */
+  constructor (hash, sum, sumByteSize = SUM_BYTE_SIZE) {
+    this.sum = BN.isBN(sum) ? sum : new BN(sum)
 
-    if (hash.startsWith('0x')) {
-      hash = hash.slice(2)
+    if (!Buffer.isBuffer(hash)) {
+      if (hash.startsWith('0x')) {
+        hash = hash.slice(2)
+      }
+      hash = Buffer.from(hash, 'hex')
     }
 
-    this.hash = hash
-    this.data = hash + this.sum.toString(16, 32)
+    this.buffer = Buffer.concat([
+      hash,
+      this.sum.maskn(sumByteSize * 8).toArrayLike(Buffer, 'be', sumByteSize)
+    ])
+    this.hashByteSize = hash.length
+  }
+
+  /**
+   * @return {String} The hash of this node as a hex string.
+   */
+  get hash () {
+    return this.buffer.toString('hex', 0, this.hashByteSize)
+  }
+
+  /**
+   * @return {String} The hash and sum of this node as a hex string.
+   */
+  get data () {
+    return this.buffer.toString('hex')
   }
 }
 
+MerkleTreeNode.HASH_BYTE_SIZE = HASH_BYTE_SIZE
+MerkleTreeNode.SUM_BYTE_SIZE = SUM_BYTE_SIZE
+
 module.exports = MerkleTreeNode
@@ -0,0 +1,146 @@
+const EventEmitter = require('events')
+const os = require('os')
+const path = require('path')
+const Worker = require('worker_threads').Worker
+
+const PlasmaMerkleSumTree = require('./plasma-sum-tree')
+const MerkleTreeNode = require('./merkle-tree-node')
+const InvalidBlockError = require('./errors').InvalidBlockError
+
+const WORKER_PATH = path.join(__dirname, 'hash-worker.js')
+const DEFAULT_CHUNK_SIZE = 8192
+
+/**
+ * Sends a single job to a worker and waits for its result.
+ * @param {Worker} worker The worker.
+ * @param {*} message A `{ id, type, data }` job.
+ * @return {Promise<Uint8Array>} The result of the job.
+ */
+const runJob = (worker, message) => {
+  return new Promise((resolve, reject) => {
+    const onMessage = (reply) => {
+      worker.removeListener('error', onError)
+      resolve(reply.result)
+    }
+    const onError = (err) => {
+      worker.removeListener('message', onMessage)
+      reject(err)
+    }
+    worker.once('message', onMessage)
+    worker.once('error', onError)
+    worker.postMessage(message)
+  })
+}
+
+/**
+ * Builds a PlasmaMerkleSumTree with its hashing spread across worker threads,
+ * so that large blocks don't block the event loop.
+ * Results in the same tree as the PlasmaMerkleSumTree constructor.
+ * Emits `progress` events with the `stage` (`leaves` or `levels`) and the number of nodes `completed` out of `total`.
+ * Needs `worker_threads`, so it's left out of the package entry point and the browser bundle.
+ * Load it with `require('plasma-utils/src/sum-tree/parallel-builder')`.
+ */
+class ParallelTreeBuilder extends EventEmitter {
+  /**
+   * @param {*} options Optional `numWorkers` and `chunkSize`, the number of nodes hashed per job.
+   */
+  constructor (options = {}) {
+    super()
+    this.numWorkers = options.numWorkers || os.cpus().length
+    // Chunks of a level are hashed in pairs, so they need an even number of nodes.
+    this.chunkSize = Math.max(2, (options.chunkSize || DEFAULT_CHUNK_SIZE) & ~1)
+  }
+
+  /**
+   * Builds a tree from a list of transactions.
+   * Rejects with an InvalidBlockError if the transactions don't form a valid block.
+   * @param {*} leaves List of Transaction or SignedTransaction objects.
+   * @param {*} block Block number of the tree.
+   * @return {Promise<PlasmaMerkleSumTree>} The tree.
+   */
+  async build (leaves, block) {
+    let tree = PlasmaMerkleSumTree._createWithoutLevels(leaves, block)
+    const transfers = PlasmaMerkleSumTree._sortTransfers(leaves)
+    tree.leafTransfers = transfers.map((transfer) => {
+      return {
+        transaction: transfer.transaction,
+        transferIndex: transfer.transferIndex
+      }
+    })
+
+    const violations = tree.findViolations()
+    if (violations.length > 0) {
+      throw new InvalidBlockError(violations)
+    }
+    if (transfers.length === 0) {
+      return tree
+    }
+
+    let progress = { stage: 'leaves', completed: 0, total: transfers.length }
+    for (let width = transfers.length; width > 1; width = Math.ceil(width / 2)) {
+      progress.total += Math.ceil(width / 2)
+    }
+
+    const workers = Array.from({ length: this.numWorkers }, () => new Worker(WORKER_PATH))
+    try {
+      let bottom = new Array(transfers.length)
+      await this._runJobs(workers, 'leaves', transfers, progress, (hashes, offset) => {
+        for (let i = 0; i < hashes.length / MerkleTreeNode.HASH_BYTE_SIZE; i++) {
+          const hash = Buffer.from(hashes.buffer, hashes.byteOffset + i * MerkleTreeNode.HASH_BYTE_SIZE, MerkleTreeNode.HASH_BYTE_SIZE)
+          bottom[offset + i] = new MerkleTreeNode(hash, tree._getLeafSum(offset + i))
+        }
+      })
+
+      let levels = [bottom]
+      progress.stage = 'levels'
+      while (levels[levels.length - 1].length > 1) {
+        const children = levels[levels.length - 1]
+        let parents = new Array(Math.ceil(children.length / 2))
+        await this._runJobs(workers, 'parents', children, progress, (hashes, offset) => {
+          for (let i = 0; i < hashes.length / MerkleTreeNode.HASH_BYTE_SIZE; i++) {
+            const hash = Buffer.from(hashes.buffer, hashes.byteOffset + i * MerkleTreeNode.HASH_BYTE_SIZE, MerkleTreeNode.HASH_BYTE_SIZE)
+            // Summed here so parents keep the full sum, like the synchronous builder.
+            const left = children[offset + 2 * i]
+            const right = children[offset + 2 * i + 1]
+            parents[offset / 2 + i] = new MerkleTreeNode(hash, right ? left.sum.add(right.sum) : left.sum)
+          }
+        })
+        levels.push(parents)
+      }
+      tree.levels = levels
+    } finally {
+      await Promise.all(workers.map((worker) => worker.terminate()))
+    }
+
+    return tree
+  }
+
+  /**
+   * Splits a list of leaves or nodes into chunks and hashes them on the workers.
+   * @param {Array<Worker>} workers Workers to run the jobs on.
+   * @param {String} type Either `leaves` or `parents`.
+   * @param {Array} items Sorted transfers for `leaves`, nodes for `parents`.
+   * @param {*} progress Progress so far, updated as jobs finish.
+   * @param {Function} onResult Called with the result of each job and the index of its first item.
+   */
+  async _runJobs (workers, type, items, progress, onResult) {
+    let next = 0
+    const runNext = async (worker) => {
+      while (next < items.length) {
+        const offset = next
+        const chunk = items.slice(offset, offset + this.chunkSize)
+        next += chunk.length
+
+        const data = (type === 'leaves') ? chunk.map((transfer) => transfer.encoded) : Buffer.concat(chunk.map((node) => node.buffer))
+        const result = await runJob(worker, { id: offset, type: type, data: data })
+        onResult(result, offset)
+
+        progress.completed += (type === 'leaves') ? chunk.length : Math.ceil(chunk.length / 2)
+        this.emit('progress', Object.assign({}, progress))
+      }
+    }
+    await Promise.all(workers.map(runNext))
+  }
+}
+
+module.exports = ParallelTreeBuilder
@@ -5,105 +5,302 @@ const MerkleTreeNode = require('./merkle-tree-node')
 const models = require('../serialization').models
 const Signature = models.Signature
 const Transaction = models.Transaction
+const SignedTransaction = models.SignedTransaction
 const TransferProof = models.TransferProof
 const TransactionProof = models.TransactionProof
+const NonInclusionProof = models.NonInclusionProof
+const MultiProof = models.MultiProof
 const constants = require('../constants')
+const utils = require('../utils')
+const errors = require('./errors')
+const InvalidBlockError = errors.InvalidBlockError
+const TreeIntegrityError = errors.TreeIntegrityError
+
+// Placeholder for leaves that don't carry a signature.
+const EMPTY_SIGNATURE = '00'.repeat(65)
+
+// Version of the format written by `toBuffer`.
+const FORMAT_VERSION = 1
+const NODE_BYTE_SIZE = MerkleTreeNode.HASH_BYTE_SIZE + MerkleTreeNode.SUM_BYTE_SIZE
+const TRANSACTION_TYPES = [Transaction, SignedTransaction]
+
+/**
+ * Returns the encoding of a transaction as it's included in the tree.
+ * Signed transactions are included without their signatures.
+ * @param {*} transaction A Transaction or SignedTransaction.
+ * @return {String} The encoded transaction.
+ */
+const getTransactionEncoding = (transaction) => {
+  return (transaction instanceof SignedTransaction) ? transaction.transactionEncoded : transaction.encoded
+}
+
+/**
+ * Returns the hash of a transaction as it's included in the tree.
+ * @param {*} transaction A Transaction or SignedTransaction.
+ * @return {String} The hash of the unsigned transaction.
+ */
+const getTransactionHash = (transaction) => {
+  return MerkleSumTree.hash(Buffer.from(getTransactionEncoding(transaction), 'hex'))
+}
+
+/**
+ * Returns the range of coin IDs that a transfer covers.
+ * @param {*} transfer A Transfer object.
+ * @return {*} The first coin ID (inclusive) and last coin ID (exclusive) of the transfer.
+ */
+const getCoinRange = (transfer) => {
+  const { token, start, end } = transfer.decoded
+  return {
+    start: utils.getCoinId(token, start),
+    end: utils.getCoinId(token, end)
+  }
+}
+
+/**
+ * Returns a short description of a transaction for use in error messages.
+ * @param {*} transaction A Transaction or SignedTransaction.
+ * @return {String} The description.
+ */
+const describeTransaction = (transaction) => {
+  return 'transaction ' + MerkleSumTree.hash(Buffer.from(getTransactionEncoding(transaction), 'hex'))
+}
+
+/**
+ * Returns a short description of a transfer for use in error messages.
+ * @param {*} transaction A Transaction or SignedTransaction.
+ * @param {Number} transferIndex Index of the transfer.
+ * @return {String} The description.
+ */
+const describeTransfer = (transaction, transferIndex) => {
+  return 'transfer ' + transferIndex + ' of ' + describeTransaction(transaction)
+}
+
+/**
+ * Decodes a transaction that may or may not be signed.
+ * Decoding is strict, so a signed transaction never decodes as an unsigned one.
+ * @param {*} transaction A Transaction or SignedTransaction, or the encoding of either.
+ * @return {*} The Transaction or SignedTransaction.
+ */
+const decodeTransaction = (transaction) => {
+  if (!(transaction instanceof String || typeof transaction === 'string')) {
+    return transaction
+  }
+  try {
+    return new Transaction(transaction)
+  } catch (err) {
+    return new SignedTransaction(transaction)
+  }
+}
+
+/**
+ * Returns the block number of a tree.
+ * @param {*} transactions Transactions in the tree.
+ * @param {*} block Block number given for the tree, if any.
+ * @return {*} The block number, or `undefined` for an empty tree without one.
+ */
+const getBlockNumber = (transactions, block) => {
+  if (block !== undefined) {
+    return new BigNum(block)
+  }
+  return (transactions && transactions.length > 0) ? transactions[0].decoded.block : undefined
+}
+
+/**
+ * Returns the violations of a single transaction that don't depend on other transactions.
+ * @param {*} transaction A Transaction or SignedTransaction.
+ * @param {*} block Block number the transaction should be in.
+ * @return {Array} List of violations.
+ */
+const findTransactionViolations = (transaction, block) => {
+  let violations = []
+
+  if (!transaction.decoded.block.eq(block)) {
+    violations.push({
+      reason: 'wrong-block',
+      message: describeTransaction(transaction) + ' is in block ' + transaction.decoded.block.toString(10) + ' instead of ' + block.toString(10),
+      transactions: [transaction],
+      transferIndices: []
+    })
+  }
+
+  // Each transfer's proof carries the signature of its sender.
+  if (transaction instanceof SignedTransaction && transaction.signatures.length !== transaction.transfers.length) {
+    violations.push({
+      reason: 'signature-count',
+      message: describeTransaction(transaction) + ' has ' + transaction.signatures.length + ' signatures for ' + transaction.transfers.length + ' transfers',
+      transactions: [transaction],
+      transferIndices: []
+    })
+  }
+
+  transaction.transfers.forEach((transfer, transferIndex) => {
+    const { start, end } = getCoinRange(transfer)
+    if (start.gte(end)) {
+      violations.push({
+        reason: 'empty-range',
+        message: describeTransfer(transaction, transferIndex) + ' has a start that is not before its end',
+        transactions: [transaction],
+        transferIndices: [transferIndex]
+      })
+    }
+    if (start.lt(constants.MIN_COIN_ID) || end.gt(constants.MAX_COIN_ID)) {
+      violations.push({
+        reason: 'out-of-bounds',
+        message: describeTransfer(transaction, transferIndex) + ' is outside of the range of valid coin IDs',
+        transactions: [transaction],
+        transferIndices: [transferIndex]
+      })
+    }
+  })
+
+  return violations
+}
+
+/**
+ * Returns a violation for two overlapping transfers.
+ * @param {*} first The earlier transfer's transaction and index.
+ * @param {*} second The later transfer's transaction and index.
+ * @return {*} The violation.
+ */
+const overlapViolation = (first, second) => {
+  return {
+    reason: 'overlap',
+    message: describeTransfer(second.transaction, second.transferIndex) + ' overlaps ' + describeTransfer(first.transaction, first.transferIndex),
+    transactions: [first.transaction, second.transaction],
+    transferIndices: [first.transferIndex, second.transferIndex]
+  }
+}
 
 /**
  * Class that represents the special type of Merkle sum tree we use.
  * For more information, check out {@link https://plasma-core.readthedocs.io/en/latest/specs/sum-tree.html}
  */
 class PlasmaMerkleSumTree extends MerkleSumTree {
+  /**
+   * @param {*} leaves List of Transaction or SignedTransaction objects in the block.
+   * @param {*} block Number of the block. Defaults to the block of the first transaction.
+   */
+  constructor (leaves, block) {
+    super(leaves)
+    this.leafTransfers = this.leafTransfers || []
+    this.block = getBlockNumber(this.leaves, block)
+
+    const violations = this.findViolations()
+    if (violations.length > 0) {
+      throw new InvalidBlockError(violations)
+    }
+  }
+
+  /**
+   * Checks that the transactions in this tree form a valid block.
+   * Transfers can't be empty, can't leave the range of valid coin IDs,
+   * can't overlap each other and have to be in the tree's block.
+   * @return {Array} List of violations, empty if the block is valid.
+   */
+  findViolations () {
+    let violations = []
+
+    this.leaves.forEach((transaction) => {
+      violations = violations.concat(findTransactionViolations(transaction, this.block))
+    })
+
+    // Leaves are sorted by start, so keep track of the transfer that reaches the furthest.
+    let furthest
+    this.leafTransfers.forEach((leafTransfer) => {
+      const transfer = getCoinRange(leafTransfer.transaction.transfers[leafTransfer.transferIndex])
+      if (furthest !== undefined) {
+        const furthestTransfer = getCoinRange(furthest.transaction.transfers[furthest.transferIndex])
+        if (transfer.start.lt(furthestTransfer.end)) {
+          violations.push(overlapViolation(furthest, leafTransfer))
+        }
+        if (transfer.end.lte(furthestTransfer.end)) {
+          return
+        }
+      }
+      furthest = leafTransfer
+    })
+
+    return violations
+  }
+
   /**
    * Parses raw data into the set of leaf nodes.
-   * @param {*} leaves List of raw leaves to be parsed.
+   * Also records which transaction and transfer each leaf node came from.
+   * @param {*} leaves List of Transaction or SignedTransaction objects to be parsed.
    * @return {*} List of parsed leaf nodes.
    */
   parseLeaves (leaves) {
-    // Pull out the start, end, and encoding of each transaction.
-    leaves = leaves.reduce((prev, curr) => {
-      let parsedTransfers = curr.transfers.map((transfer) => {
-        return {
-          start: new BigNum(transfer.decoded.start),
-          end: new BigNum(transfer.decoded.end),
-          encoded: '0x' + curr.encoded
-        }
-      })
-      return prev.concat(parsedTransfers)
-    }, []).sort((a, b) => {
-      return a.start - b.start
+    const transfers = PlasmaMerkleSumTree._sortTransfers(leaves)
+
+    this.leafTransfers = transfers.map((transfer) => {
+      return {
+        transaction: transfer.transaction,
+        transferIndex: transfer.transferIndex
+      }
     })
 
-    let parsed = []
-    if (leaves.length === 1) {
-      parsed.push(new MerkleTreeNode(PlasmaMerkleSumTree.hash(leaves[0].encoded), constants.MAX_COIN_ID))
-      return parsed
-    }
+    return transfers.map((transfer, leafIndex) => {
+      return new MerkleTreeNode(PlasmaMerkleSumTree.hash(transfer.encoded), this._getLeafSum(leafIndex))
+    })
+  }
 
-    // For all leaves except the first and last,
-    // sum at the leaves is defined as
-    // start of the next leaf minus start of the current leaf.
-    let curr, next, sum
-    for (let i = 1; i < leaves.length - 1; i++) {
-      curr = leaves[i]
-      next = leaves[i + 1]
-      sum = next.start.sub(curr.start)
-      parsed.push(new MerkleTreeNode(PlasmaMerkleSumTree.hash(curr.encoded), sum))
+  /**
+   * Adds a transaction to the tree.
+   * Each of its transfers is inserted in order of `start`
+   * and only the nodes that depend on the new leaves are recomputed.
+   * Results in the same tree as building from scratch with all transactions.
+   * Throws an InvalidBlockError, and leaves the tree untouched, if the transaction doesn't fit in the block.
+   * @param {*} transaction A Transaction or SignedTransaction object.
+   */
+  append (transaction) {
+    const block = getBlockNumber([transaction], this.block)
+    const violations = findTransactionViolations(transaction, block).concat(this._findAppendOverlaps(transaction))
+    if (violations.length > 0) {
+      throw new InvalidBlockError(violations)
     }
 
-    // Custom rule for the first leaf, if there's more than one.
-    // Sum of the first leaf is always defined as
-    // the start of its sibling transaction minus the minimum possible coin ID.
-    // This is to allow for "implicit" non-inclusion proofs
-    // for any ranges where `end` is less than `start` of the first transaction.
-    parsed.unshift(new MerkleTreeNode(PlasmaMerkleSumTree.hash(leaves[0].encoded), leaves[1].start.sub(constants.MIN_COIN_ID)))
+    this.block = block
+    this.leaves.push(transaction)
+    const hash = getTransactionHash(transaction)
+    if (this._transactionsByHash !== undefined) {
+      this._transactionsByHash.set(hash, transaction)
+    }
 
-    // Custom rule for the last leaf, if there's more than one.
-    // Sum of the last leaf is always defined as
-    // the maximum possible coin ID minus the start of the last transaction.
-    // This is again to allow for "implicit" non-inclusion proofs
-    // for any ranges where `start` is greater than `end`.
-    parsed.push(new MerkleTreeNode(PlasmaMerkleSumTree.hash(leaves[leaves.length - 1].encoded), constants.MAX_COIN_ID.sub(leaves[leaves.length - 1].start)))
+    transaction.transfers.forEach((transfer, transferIndex) => {
+      const leafIndex = this._getInsertionIndex(getCoinRange(transfer).start)
+      this.leafTransfers.splice(leafIndex, 0, {
+        transaction: transaction,
+        transferIndex: transferIndex
+      })
+      this.levels[0].splice(leafIndex, 0, new MerkleTreeNode(hash, 0))
 
-    return parsed
+      // Only the new leaf and its direct neighbours have different sums.
+      const first = Math.max(leafIndex - 1, 0)
+      const last = Math.min(leafIndex + 1, this.leafTransfers.length - 1)
+      for (let i = first; i <= last; i++) {
+        this.levels[0][i] = new MerkleTreeNode(this.levels[0][i].hash, this._getLeafSum(i))
+      }
+      this.regenerate(first)
+    })
   }
 
   /**
    * Returns an inclusion proof for the leaf at a given index.
+   * The proof starts with an empty node that carries the leaf's sum.
    * @param {Number} index Index of the leaf to return a proof for.
    * @return {*} A list of sibling nodes that can be used to check inclusion of the node.
    */
   getInclusionProof (index) {
-    if (index >= this.levels[0].length || index < 0) {
-      throw new Error('Invalid leaf index')
-    }
-
-    let branch = []
+    const siblings = super.getInclusionProof(index)
 
     // User needs to be given this extra information.
-    branch.push(new MerkleTreeNode('0x0000000000000000000000000000000000000000000000000000000000000000', this.levels[0][index].sum).data)
-
-    let parentIndex
-    let node
-    let siblingIndex = index + (index % 2 === 0 ? 1 : -1)
-    for (let i = 0; i < this.levels.length - 1; i++) {
-      node = this.levels[i][siblingIndex]
-      if (node === undefined) {
-        node = PlasmaMerkleSumTree.emptyLeaf().data
-      }
-
-      branch.push(node.data)
-
-      // Figure out the parent and then figure out the parent's sibling.
-      parentIndex = siblingIndex === 0 ? 0 : Math.floor(siblingIndex / 2)
-      siblingIndex = parentIndex + (parentIndex % 2 === 0 ? 1 : -1)
-    }
-
-    return branch
+    return [new MerkleTreeNode(PlasmaMerkleSumTree.emptyLeaf().hash, this.levels[0][index].sum).data].concat(siblings)
   }
 
   /**
    * Returns an inclusion proof for the leaf at a given index.
+   * The proof carries the signature of the sender of the leaf's transfer.
+   * Leaves built from an unsigned Transaction get an empty signature.
    * @param {Number} index Index of the leaf to return a proof for.
    * @return {*} A serializaed TransferProof object.
    */
@@ -115,48 +312,43 @@ class PlasmaMerkleSumTree extends MerkleSumTree {
     // User needs to be given this extra information for calculating the bottommost node.
     const parsedSum = this.levels[0][leafIndex].sum
 
-    // Each TR proof gets the signature for that transfer's sender
-    const signature = new Signature('1bd693b532a80fed6392b428604171fb32fdbf953728a3a7ecc7d4062b1652c04224e9c602ac800b983b035700a14b23f78a253ab762deab5dc27e3555a750b354') // this.leaves[leafIndex].signatures[transferIndex]
-
-    let branch = []
+    // Each TR proof gets the signature for that transfer's sender.
+    const signature = this._getLeafSignature(leafIndex)
 
-    let parentIndex
-    let node
-    let siblingIndex = leafIndex + (leafIndex % 2 === 0 ? 1 : -1)
-    for (let i = 0; i < this.levels.length - 1; i++) {
-      node = this.levels[i][siblingIndex]
-      if (node === undefined) {
-        node = PlasmaMerkleSumTree.emptyLeaf().data
-      }
-
-      branch.push(node.data)
-
-      // Figure out the parent and then figure out the parent's sibling.
-      parentIndex = siblingIndex === 0 ? 0 : Math.floor(siblingIndex / 2)
-      siblingIndex = parentIndex + (parentIndex % 2 === 0 ? 1 : -1)
-    }
     return new TransferProof({
       parsedSum: parsedSum,
       leafIndex: leafIndex,
-      inclusionProof: branch,
+      inclusionProof: super.getInclusionProof(leafIndex),
       signature: signature.decoded
     })
   }
 
   /**
-   * Returns whether a given signature is valid on the hash.
+   * Returns whether a given signature was produced by `sender` over the hash.
    * @param {*} transactionHash The hash which was signed.
    * @param {*} signature The signature.
-   * @return {*} A serializaed TransactionProof object.
+   * @param {String} sender Address expected to have signed the hash.
+   * @return {boolean} `true` if the signature is valid, `false` otherwise.
    */
 
-  static checkSignature (transactionHash, signature) {
-    return true
+  static checkSignature (transactionHash, signature, sender) {
+    if (!(signature instanceof Signature)) {
+      signature = new Signature(signature)
+    }
+
+    let signer
+    try {
+      signer = signature.recover(transactionHash)
+    } catch (err) {
+      // Malformed signatures can't be recovered at all.
+      return false
+    }
+    return signer.toLowerCase() === sender.toLowerCase()
   }
 
   /**
    * Checks whether a given transaction was included in the right branch for a particula transfer.
-   * @param {Transaction} transaction A Transaction object.
+   * @param {Transaction} transaction A Transaction or SignedTransaction object.
    * @param {Number} transferIndex Which transfer to check.
    * @param {*} transferProof A TransferProof object.
    * @param {*} root The root node of the tree to check.
@@ -164,30 +356,509 @@ class PlasmaMerkleSumTree extends MerkleSumTree {
    */
 
   static checkTransferProof (transaction, transferIndex, transferProof, root) {
-    if (transaction instanceof String || typeof transaction === 'string') {
-      transaction = new Transaction(transaction)
+    return this.verifyTransferProof(transaction, transferIndex, transferProof, root).valid
+  }
+
+  /**
+   * Verifies a transfer proof and explains why it failed, if it did.
+   * `reason` is one of `invalid-encoding`, `invalid-transfer-index`, `invalid-proof-length`, `invalid-signature`, `root-mismatch` or `range-outside-branch`,
+   * and `level` is the level of the tree where the check failed, counting up from the leaves.
+   * @param {Transaction} transaction A Transaction or SignedTransaction object, or the encoding of either.
+   * @param {Number} transferIndex Which transfer to check.
+   * @param {*} transferProof A TransferProof object.
+   * @param {*} root The root node of the tree to check.
+   * @return {*} A `{ valid, reason, message, level, root, leafStart, leafEnd }` object.
+   */
+  static verifyTransferProof (transaction, transferIndex, transferProof, root) {
+    let result = {
+      valid: false,
+      reason: null,
+      message: null,
+      level: null,
+      root: null,
+      leafStart: null,
+      leafEnd: null
+    }
+    const fail = (reason, level, message) => {
+      return Object.assign(result, { reason: reason, level: level, message: message })
+    }
+
+    try {
+      transaction = decodeTransaction(transaction)
+      if (transferProof instanceof String || typeof transferProof === 'string') {
+        transferProof = new TransferProof(transferProof)
+      }
+    } catch (err) {
+      return fail('invalid-encoding', null, err.message)
     }
-    if (transferProof instanceof String || typeof transferProof === 'string') {
-      transferProof = new TransferProof(transferProof)
+
+    const { leafIndex, parsedSum, signature, inclusionProof } = transferProof.args
+    const depth = inclusionProof.length
+
+    if (!Number.isInteger(transferIndex) || transferIndex < 0 || transferIndex >= transaction.transfers.length) {
+      return fail('invalid-transfer-index', null, 'Transaction has no transfer ' + transferIndex)
+    }
+
+    // Every bit of the leaf index picks a side at one level, so the proof needs a sibling for each of them.
+    if (new BigNum(leafIndex).gte(new BigNum(1).shln(depth))) {
+      return fail('invalid-proof-length', depth, 'Leaf ' + leafIndex + ' needs more than ' + depth + ' sibling nodes')
     }
 
-    const leafIndex = transferProof.args.leafIndex
-    const inclusionProof = transferProof.args.inclusionProof
+    const transactionHash = PlasmaMerkleSumTree.hash('0x' + getTransactionEncoding(transaction))
+    const branch = PlasmaMerkleSumTree.walkBranch(transactionHash, parsedSum, leafIndex, inclusionProof)
+    result.root = branch.root.data
+    result.leafStart = constants.MIN_COIN_ID.add(branch.leftSum)
+    result.leafEnd = result.leafStart.add(new BigNum(parsedSum))
 
+    const transfer = transaction.transfers[transferIndex].decoded
+    if (!this.checkSignature(transactionHash, signature, transfer.sender)) {
+      return fail('invalid-signature', 0, 'Signature does not match sender ' + transfer.sender)
+    }
+    if (branch.root.data !== root) {
+      return fail('root-mismatch', depth, 'Computed root ' + branch.root.data + ' does not match ' + root)
+    }
+    const coinRange = getCoinRange(transaction.transfers[transferIndex])
+    if (coinRange.start.lt(result.leafStart) || coinRange.end.gt(result.leafEnd)) {
+      return fail('range-outside-branch', 0, 'Transfer range [' + coinRange.start.toString(16) + ', ' + coinRange.end.toString(16) +
+        ') is outside of the branch range [' + result.leafStart.toString(16) + ', ' + result.leafEnd.toString(16) + ')')
+    }
+
+    result.valid = true
+    return result
+  }
+
+  /**
+   * Returns an inclusion proof for each transfer in a transaction.
+   * Transfer proofs are ordered the same way as the transaction's transfers.
+   * Throws if the transaction isn't in the tree.
+   * @param {*} transaction A Transaction or SignedTransaction equal to one in the tree, or the hash of the unsigned transaction.
+   * @return {*} A serializaed TransactionProof object.
+   */
+
+  getTransactionProof (transaction) {
+    const transactionLeafIndices = this._getTransactionLeafIndices(transaction)
+    const transferProofs = transactionLeafIndices.map((leafIndex) => {
+      return this.getTransferProof(leafIndex)
+    })
+    return new TransactionProof({
+      transferProofs: transferProofs.map((transferProof) => { return transferProof.decoded })
+    })
+  }
+
+  /**
+   * Checks whether a given transaction was included in the right branch for a particula transfer.
+   * @param {Transaction} transaction A Transaction object.
+   * @param {*} transactionProof A TransactionProof object.
+   * @param {*} root The root node of the tree to check.
+   * @return {boolean} `true` if the transaction is in the tree, `false` otherwise.
+   */
+
+  static checkTransactionProof (transaction, transactionProof, root) {
+    return this.verifyTransactionProof(transaction, transactionProof, root).valid
+  }
+
+  /**
+   * Verifies a transaction proof and explains why it failed, if it did.
+   * The result carries the reason of the first failing transfer proof and its index,
+   * or `missing-transfer-proof` if there isn't exactly one transfer proof for each transfer.
+   * Encoded transactions can be either unsigned or signed, and `invalid-encoding` is reported if they're neither.
+   * @param {Transaction} transaction A Transaction or SignedTransaction object, or its encoding.
+   * @param {*} transactionProof A TransactionProof object.
+   * @param {*} root The root node of the tree to check.
+   * @return {*} A `{ valid, reason, message, level, transferIndex, transferResults }` object.
+   */
+  static verifyTransactionProof (transaction, transactionProof, root) {
+    const fail = (reason, message) => {
+      return {
+        valid: false,
+        reason: reason,
+        message: message,
+        level: null,
+        transferIndex: null,
+        transferResults: []
+      }
+    }
+
+    try {
+      transaction = decodeTransaction(transaction)
+      if (transactionProof instanceof String || typeof transactionProof === 'string') {
+        transactionProof = new TransactionProof(transactionProof)
+      }
+    } catch (err) {
+      return fail('invalid-encoding', err.message)
+    }
+
+    const transferProofs = transactionProof.args.transferProofs
+    if (transferProofs.length !== transaction.transfers.length) {
+      return fail('missing-transfer-proof', 'Expected ' + transaction.transfers.length + ' transfer proofs, got ' + transferProofs.length)
+    }
+
+    const transferResults = transferProofs.map((transferProof, transferIndex) => {
+      return this.verifyTransferProof(transaction, transferIndex, { args: transferProof }, root)
+    })
+    const transferIndex = transferResults.findIndex((transferResult) => !transferResult.valid)
+    const failed = transferResults[transferIndex]
+    return {
+      valid: failed === undefined,
+      reason: failed ? failed.reason : null,
+      message: failed ? 'Transfer ' + transferIndex + ': ' + failed.message : null,
+      level: failed ? failed.level : null,
+      transferIndex: failed ? transferIndex : null,
+      transferResults: transferResults
+    }
+  }
+
+  /**
+   * Returns a single proof for several leaves of this tree.
+   * Each sibling node needed by any of the leaves' branches is only included once.
+   * Nodes are ordered level by level from the bottom up, and by index within each level.
+   * @param {Array<Number>} leafIndices Indices of the leaves to prove.
+   * @return {MultiProof} A MultiProof object.
+   */
+  getMultiProof (leafIndices) {
+    leafIndices = Array.from(new Set(leafIndices)).sort((a, b) => a - b)
+    leafIndices.forEach((leafIndex) => {
+      if (leafIndex >= this.levels[0].length || leafIndex < 0) {
+        throw new Error('Invalid leaf index')
+      }
+    })
+
+    const leaves = leafIndices.map((leafIndex) => {
+      return {
+        leafIndex: leafIndex,
+        parsedSum: this.levels[0][leafIndex].sum,
+        signature: this._getLeafSignature(leafIndex).decoded
+      }
+    })
+
+    let nodes = []
+    let known = leafIndices
+    for (let depth = 0; depth < this.levels.length - 1; depth++) {
+      let parents = []
+      known.forEach((index, i) => {
+        const siblingIndex = index ^ 1
+        // Pairs where both nodes are known only need to be handled once.
+        if (known[i - 1] === siblingIndex) {
+          return
+        }
+        if (known[i + 1] !== siblingIndex) {
+          const sibling = this.levels[depth][siblingIndex] || PlasmaMerkleSumTree.emptyLeaf()
+          nodes.push(sibling.data)
+        }
+        parents.push(index >> 1)
+      })
+      known = parents
+    }
+
+    return new MultiProof({
+      depth: this.levels.length - 1,
+      leaves: leaves,
+      nodes: nodes
+    })
+  }
+
+  /**
+   * Returns a single proof for every transfer in a transaction.
+   * Leaves of the proof are ordered the same way as the transaction's transfers.
+   * Throws if the transaction isn't in the tree.
+   * @param {*} transaction A Transaction or SignedTransaction equal to one in the tree, or the hash of the unsigned transaction.
+   * @return {MultiProof} A MultiProof object.
+   */
+  getTransactionMultiProof (transaction) {
+    const transactionLeafIndices = this._getTransactionLeafIndices(transaction)
+    const multiProof = this.getMultiProof(transactionLeafIndices)
+    const leaves = multiProof.args.leaves
+    multiProof.args.leaves = transactionLeafIndices.map((leafIndex) => {
+      return leaves.find((leaf) => leaf.leafIndex.eqn(leafIndex))
+    })
+    return multiProof
+  }
+
+  /**
+   * Checks a MultiProof against a root.
+   * Every leaf needs a valid signature and has to fall within its branch.
+   * @param {Array} leaves List of `{ transaction, transferIndex }` objects, one for each leaf in the proof.
+   * @param {*} multiProof A MultiProof object.
+   * @param {*} root The root node of the tree to check.
+   * @return {boolean} `true` if all of the leaves are in the tree, `false` otherwise.
+   */
+  static checkMultiProof (leaves, multiProof, root) {
+    if (multiProof instanceof String || typeof multiProof === 'string') {
+      multiProof = new MultiProof(multiProof)
+    }
+
+    const proofLeaves = multiProof.args.leaves
+    const depth = new BigNum(multiProof.args.depth).toNumber()
+    if (leaves.length !== proofLeaves.length || leaves.length === 0) {
+      return false
+    }
+
+    // Indices come from untrusted proofs, so they're bounded before being converted to Numbers.
+    // They can be wider than 32 bits, so the index math below is arithmetic rather than bitwise.
+    const maxIndex = new BigNum(1).shln(depth)
+    const outOfRange = proofLeaves.some((proofLeaf) => {
+      const leafIndex = new BigNum(proofLeaf.leafIndex)
+      return leafIndex.gte(maxIndex) || leafIndex.bitLength() > 53
+    })
+    if (outOfRange) {
+      return false
+    }
+
+    // Start with the leaves themselves, sorted by index.
+    let levels = [new Map()]
+    const sortedLeaves = proofLeaves.map((proofLeaf, i) => {
+      return {
+        index: new BigNum(proofLeaf.leafIndex).toNumber(),
+        proofLeaf: proofLeaf,
+        leaf: leaves[i]
+      }
+    }).sort((a, b) => a.index - b.index)
+    for (let i = 0; i < sortedLeaves.length; i++) {
+      const { index, proofLeaf, leaf } = sortedLeaves[i]
+      if (!Number.isInteger(leaf.transferIndex) || leaf.transferIndex < 0 || leaf.transferIndex >= leaf.transaction.transfers.length) {
+        return false
+      }
+      const transactionHash = PlasmaMerkleSumTree.hash('0x' + getTransactionEncoding(leaf.transaction))
+      const sender = leaf.transaction.transfers[leaf.transferIndex].decoded.sender
+      if (levels[0].has(index) || !this.checkSignature(transactionHash, proofLeaf.signature, sender)) {
+        return false
+      }
+      levels[0].set(index, new MerkleTreeNode(transactionHash, new BigNum(proofLeaf.parsedSum)))
+    }
+
+    // Rebuild every known node, pulling in siblings from the proof in the same order they were added.
+    let nodeIndex = 0
+    for (let d = 0; d < depth; d++) {
+      const level = levels[d]
+      const indices = Array.from(level.keys()).sort((a, b) => a - b)
+      let parents = new Map()
+      for (let i = 0; i < indices.length; i++) {
+        const index = indices[i]
+        const leftIndex = index - index % 2
+        const siblingIndex = (index === leftIndex) ? index + 1 : leftIndex
+        if (level.has(siblingIndex) && siblingIndex < index) {
+          continue
+        }
+        if (!level.has(siblingIndex)) {
+          const encodedSibling = multiProof.args.nodes[nodeIndex++]
+          if (encodedSibling === undefined) {
+            return false
+          }
+          level.set(siblingIndex, new MerkleTreeNode(
+            new BigNum(encodedSibling.slice(0, 32)).toString(16, 64),
+            new BigNum(encodedSibling.slice(32, 48))
+          ))
+        }
+
+        const left = level.get(leftIndex)
+        const right = level.get(leftIndex + 1)
+        parents.set(Math.floor(index / 2), PlasmaMerkleSumTree.parent(left, right))
+      }
+      levels.push(parents)
+    }
+
+    const computedRoot = levels[depth].get(0)
+    if (nodeIndex !== multiProof.args.nodes.length || computedRoot === undefined || computedRoot.data !== root) {
+      return false
+    }
+
+    // Walk back down to find the sum to the left of each leaf.
+    let offsets = new Map([[0, new BigNum(0)]])
+    for (let d = depth; d > 0; d--) {
+      let childOffsets = new Map()
+      levels[d - 1].forEach((node, index) => {
+        const parentOffset = offsets.get(Math.floor(index / 2))
+        childOffsets.set(index, (index % 2 === 0) ? parentOffset : parentOffset.add(levels[d - 1].get(index - 1).sum))
+      })
+      offsets = childOffsets
+    }
+
+    return sortedLeaves.every(({ index, proofLeaf, leaf }) => {
+      const leafStart = constants.MIN_COIN_ID.add(offsets.get(index))
+      const leafEnd = leafStart.add(new BigNum(proofLeaf.parsedSum))
+      const coinRange = getCoinRange(leaf.transaction.transfers[leaf.transferIndex])
+      return coinRange.start.gte(leafStart) && coinRange.end.lte(leafEnd)
+    })
+  }
+
+  /**
+   * Checks a MultiProof for every transfer in a transaction.
+   * @param {*} transaction A Transaction or SignedTransaction object.
+   * @param {*} multiProof A MultiProof object.
+   * @param {*} root The root node of the tree to check.
+   * @return {boolean} `true` if the transaction is in the tree, `false` otherwise.
+   */
+  static checkTransactionMultiProof (transaction, multiProof, root) {
+    const leaves = transaction.transfers.map((transfer, transferIndex) => {
+      return {
+        transaction: transaction,
+        transferIndex: transferIndex
+      }
+    })
+    return this.checkMultiProof(leaves, multiProof, root)
+  }
+
+  /**
+   * Returns the index of the leaf whose implied range contains a given coin.
+   * @param {*} coinId ID of the coin.
+   * @return {Number} Index of the leaf.
+   */
+  getLeafIndex (coinId) {
+    if (this.leafTransfers.length === 0) {
+      throw new Error('Cannot find a leaf in an empty tree')
+    }
+    coinId = new BigNum(coinId)
+
+    // Leaves are sorted, so find the last leaf that starts at or before the coin.
+    let low = 0
+    let high = this.leafTransfers.length - 1
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (this._getLeafStart(mid).lte(coinId)) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+    return low
+  }
+
+  /**
+   * Returns the range of coins implied by the leaf at a given index.
+   * The first and last leaves extend to the minimum and maximum coin IDs.
+   * @param {Number} leafIndex Index of the leaf.
+   * @return {*} The `start` (inclusive) and `end` (exclusive) of the range.
+   */
+  getImpliedRange (leafIndex) {
+    if (leafIndex >= this.leafTransfers.length || leafIndex < 0) {
+      throw new Error('Invalid leaf index')
+    }
+
+    return {
+      start: (leafIndex === 0) ? constants.MIN_COIN_ID : this._getLeafStart(leafIndex),
+      end: (leafIndex === this.leafTransfers.length - 1) ? constants.MAX_COIN_ID : this._getLeafStart(leafIndex + 1)
+    }
+  }
+
+  /**
+   * Returns every leaf whose implied range overlaps a range of coins, along with a proof for each.
+   * @param {*} token Token of the coins.
+   * @param {*} start Start of the range within the token, inclusive.
+   * @param {*} end End of the range within the token, exclusive.
+   * @return {*} List of leaves with their transaction, transfer index and TransferProof.
+   */
+  getProofsForRange (token, start, end) {
+    start = utils.getCoinId(token, start)
+    end = utils.getCoinId(token, end)
+    if (start.gte(end)) {
+      throw new Error('Invalid range')
+    }
+    if (this.leafTransfers.length === 0) {
+      return []
+    }
+
+    let proofs = []
+    for (let leafIndex = this.getLeafIndex(start); leafIndex < this.leafTransfers.length; leafIndex++) {
+      if (this.getImpliedRange(leafIndex).start.gte(end)) {
+        break
+      }
+
+      const { transaction, transferIndex } = this.leafTransfers[leafIndex]
+      proofs.push({
+        leafIndex: leafIndex,
+        transaction: transaction,
+        transferIndex: transferIndex,
+        transferProof: this.getTransferProof(leafIndex)
+      })
+    }
+    return proofs
+  }
+
+  /**
+   * Returns a proof that no transaction in this tree touched a range of coins.
+   * The proof is for the leaf whose implied range contains the whole given range.
+   * @param {*} start First coin ID of the range, inclusive.
+   * @param {*} end Last coin ID of the range, exclusive.
+   * @return {NonInclusionProof} A NonInclusionProof object.
+   */
+  getNonInclusionProof (start, end) {
+    start = new BigNum(start)
+    end = new BigNum(end)
+    if (start.gte(end) || start.lt(constants.MIN_COIN_ID) || end.gt(constants.MAX_COIN_ID)) {
+      throw new Error('Invalid range')
+    }
+    if (this.levels[0].length === 0) {
+      throw new Error('Cannot prove non-inclusion in an empty tree')
+    }
+
+    const leafIndex = this.getLeafIndex(start)
+    const leafRange = this.getImpliedRange(leafIndex)
+    const transaction = this.leafTransfers[leafIndex].transaction
+    if (end.gt(leafRange.end) || PlasmaMerkleSumTree.touchesRange(transaction, start, end)) {
+      throw new Error('Range was touched by a transaction in this tree')
+    }
+
+    return new NonInclusionProof({
+      transaction: new Transaction(getTransactionEncoding(transaction)).decoded,
+      transferProof: this.getTransferProof(leafIndex).decoded
+    })
+  }
+
+  /**
+   * Checks whether a given range of coins was untouched in a tree.
+   * @param {*} start First coin ID of the range, inclusive.
+   * @param {*} end Last coin ID of the range, exclusive.
+   * @param {*} nonInclusionProof A NonInclusionProof object.
+   * @param {*} root The root node of the tree to check.
+   * @return {boolean} `true` if the range was not touched, `false` otherwise.
+   */
+  static checkNonInclusionProof (start, end, nonInclusionProof, root) {
+    if (nonInclusionProof instanceof String || typeof nonInclusionProof === 'string') {
+      nonInclusionProof = new NonInclusionProof(nonInclusionProof)
+    }
+    start = new BigNum(start)
+    end = new BigNum(end)
+    if (start.gte(end)) {
+      return false
+    }
+
+    const transaction = new Transaction(nonInclusionProof.args.transaction)
+    const transferProof = nonInclusionProof.args.transferProof
+    // Bits of the leaf index above the proof length would be ignored, so they have to be zero.
+    if (new BigNum(transferProof.leafIndex).gte(new BigNum(1).shln(transferProof.inclusionProof.length))) {
+      return false
+    }
+    const branch = PlasmaMerkleSumTree.walkBranch(
+      PlasmaMerkleSumTree.hash('0x' + transaction.encoded),
+      transferProof.parsedSum,
+      transferProof.leafIndex,
+      transferProof.inclusionProof
+    )
+    if (branch.root.data !== root) {
+      return false
+    }
+
+    // The range has to fall within the branch and can't overlap any of the leaf's transfers.
+    const leafStart = constants.MIN_COIN_ID.add(branch.leftSum)
+    const leafEnd = leafStart.add(new BigNum(transferProof.parsedSum))
+    return start.gte(leafStart) && end.lte(leafEnd) && !PlasmaMerkleSumTree.touchesRange(transaction, start, end)
+  }
+
+  /**
+   * Computes the root of a branch from a leaf and its inclusion proof.
+   * @param {String} leafHash Hash of the leaf.
+   * @param {*} parsedSum Sum of the leaf.
+   * @param {*} leafIndex Index of the leaf.
+   * @param {*} inclusionProof List of encoded sibling nodes, from the bottom up.
+   * @return {*} The computed root node and the total sums to the left and right of the leaf.
+   */
+  static walkBranch (leafHash, parsedSum, leafIndex, inclusionProof) {
     // Covert the index into a bitstring
     let path = new BigNum(leafIndex).toString(2, inclusionProof.length)
     // Reverse the order of the bitstring to start at the bottom of the tree
     path = path.split('').reverse().join('')
 
-    const transactionHash = PlasmaMerkleSumTree.hash('0x' + transaction.encoded)
-
-    const signature = transferProof.args.signature
-    if (!this.checkSignature(transactionHash, signature)) return false
-
-    let computedNode = new MerkleTreeNode(
-      transactionHash,
-      transferProof.args.parsedSum
-    )
+    let computedNode = new MerkleTreeNode(leafHash, new BigNum(parsedSum))
     let leftSum = new BigNum(0)
     let rightSum = new BigNum(0)
     for (let i = 0; i < inclusionProof.length; i++) {
@@ -198,50 +869,409 @@ class PlasmaMerkleSumTree extends MerkleSumTree {
       )
       if (path[i] === '0') {
         computedNode = PlasmaMerkleSumTree.parent(computedNode, sibling)
-        rightSum.add(sibling.sum)
+        rightSum = rightSum.add(sibling.sum)
       } else {
         computedNode = PlasmaMerkleSumTree.parent(sibling, computedNode)
-        leftSum.add(sibling.sum)
+        leftSum = leftSum.add(sibling.sum)
       }
     }
-    const rootSum = computedNode.sum
-    const transfer = transaction.transfers[transferIndex].decoded
-    const validSum = transfer.start.gte(leftSum) && transfer.end.lte(rootSum.sub(rightSum))
-    const validRoot = computedNode.data === root
-    return validSum && validRoot
+
+    return {
+      root: computedNode,
+      leftSum: leftSum,
+      rightSum: rightSum
+    }
   }
 
   /**
-   * Returns an inclusion proof for the leaf at a given index.
-   * @param {*} Transaction A transaction element in the sum tree's leaves.
-   * @return {*} A serializaed TransactionProof object.
+   * Checks the whole tree before its root is published.
+   * On top of the checks of `MerkleSumTree#verify`, each leaf has to match its transaction and implied range
+   * (`leaf-mismatch`, `wrong-leaf-sum`) and the root has to cover every coin ID (`wrong-root-sum`).
+   * @return {*} A `{ valid, problems }` object.
+   */
+  verify () {
+    let problems = []
+    this.levels[0].forEach((leaf, leafIndex) => {
+      const { transaction } = this.leafTransfers[leafIndex]
+      if ('0x' + leaf.hash !== getTransactionHash(transaction)) {
+        problems.push({
+          reason: 'leaf-mismatch',
+          message: 'leaf ' + leafIndex + ' does not match its transaction',
+          level: 0,
+          index: leafIndex
+        })
+      }
+      if (!leaf.sum.eq(this._getLeafSum(leafIndex))) {
+        problems.push({
+          reason: 'wrong-leaf-sum',
+          message: 'leaf ' + leafIndex + ' has the wrong sum',
+          level: 0,
+          index: leafIndex
+        })
+      }
+    })
+    problems = problems.concat(super.verify().problems)
+
+    const root = this.root()
+    const expectedSum = constants.MAX_COIN_ID.sub(constants.MIN_COIN_ID)
+    if (root !== undefined && !root.sum.eq(expectedSum)) {
+      problems.push({
+        reason: 'wrong-root-sum',
+        message: 'root sum ' + root.sum.toString(16) + ' should be ' + expectedSum.toString(16),
+        level: this.levels.length - 1,
+        index: 0
+      })
+    }
+
+    return {
+      valid: problems.length === 0,
+      problems: problems
+    }
+  }
+
+  /**
+   * Encodes this tree so that it can be stored and reloaded with `fromBuffer`.
+   * The encoding holds the block number, the root, every transaction, every level of nodes
+   * and which transfer each leaf came from, so the tree doesn't have to be rebuilt.
+   * @return {Buffer} The encoded tree.
    */
+  toBuffer () {
+    // Block numbers are stored in 4 bytes, the same as in transactions.
+    if (this.block !== undefined && this.block.bitLength() > 32) {
+      throw new Error('Block number ' + this.block.toString(10) + ' does not fit in 4 bytes')
+    }
 
-  getTransactionProof (transaction) {
-    let transactionLeafIndices = []
-    for (let leafIndex in this.leaves) {
-      if (this.leaves[leafIndex] === transaction) transactionLeafIndices.push(new BigNum(leafIndex).toNumber())
+    let buffers = []
+    const writeUInt = (value, byteLength) => {
+      const buffer = Buffer.alloc(byteLength)
+      buffer.writeUIntBE(value, 0, byteLength)
+      buffers.push(buffer)
     }
-    const transferProofs = transactionLeafIndices.map((leafIndex) => {
-      return this.getTransferProof(leafIndex)
+
+    writeUInt(FORMAT_VERSION, 1)
+    writeUInt(Number(this.block !== undefined), 1)
+    writeUInt(this.block === undefined ? 0 : this.block.toNumber(), 4)
+    buffers.push(this.root() ? this.root().buffer : Buffer.alloc(NODE_BYTE_SIZE))
+
+    writeUInt(this.leaves.length, 4)
+    this.leaves.forEach((transaction) => {
+      const encoded = transaction.toBuffer()
+      writeUInt(Number(transaction instanceof SignedTransaction), 1)
+      writeUInt(encoded.length, 4)
+      buffers.push(encoded)
     })
-    return new TransactionProof({
-      transferProofs: transferProofs.map((transferProof) => { return transferProof.decoded })
+
+    writeUInt(this.levels.length, 1)
+    this.levels.forEach((level) => {
+      writeUInt(level.length, 4)
+      level.forEach((node) => {
+        buffers.push(node.buffer)
+      })
     })
+
+    const transactionIndices = new Map(this.leaves.map((transaction, i) => [transaction, i]))
+    this.leafTransfers.forEach(({ transaction, transferIndex }) => {
+      writeUInt(transactionIndices.get(transaction), 4)
+      writeUInt(transferIndex, 1)
+    })
+
+    return Buffer.concat(buffers)
   }
 
   /**
-   * Checks whether a given transaction was included in the right branch for a particula transfer.
-   * @param {Transaction} transaction A Transaction object.
-   * @param {*} transactionProof A TransactionProof object.
-   * @param {*} root The root node of the tree to check.
-   * @return {boolean} `true` if the transaction is in the tree, `false` otherwise.
+   * Reloads a tree encoded with `toBuffer` without rebuilding it.
+   * Every node is checked against its children and every leaf against its transaction,
+   * and the tree's root has to match the stored root and, if given, the expected root.
+   * @param {Buffer} buffer An encoded tree.
+   * @param {String} root Expected root of the tree, as returned by `root().data`.
+   * @return {PlasmaMerkleSumTree} The reloaded tree.
    */
+  static fromBuffer (buffer, root) {
+    let offset = 0
+    const read = (byteLength) => {
+      if (offset + byteLength > buffer.length) {
+        throw new TreeIntegrityError('unexpected end of data at byte ' + offset)
+      }
+      const bytes = buffer.slice(offset, offset + byteLength)
+      offset += byteLength
+      return bytes
+    }
+    const readUInt = (byteLength) => {
+      return read(byteLength).readUIntBE(0, byteLength)
+    }
+    const readNode = () => {
+      const bytes = read(NODE_BYTE_SIZE)
+      return new MerkleTreeNode(bytes.slice(0, 32), new BigNum(bytes.slice(32)))
+    }
 
-  static checkTransactionProof (transaction, transactionProof, root) {
-    const transferProofs = transactionProof.args.transferProofs.map((transferProof) => { return { args: transferProof } })
-    return transferProofs.every((transferProof, transferIndex) => {
-      return this.checkTransferProof(transaction, transferIndex, transferProof, root)
+    const version = readUInt(1)
+    if (version !== FORMAT_VERSION) {
+      throw new TreeIntegrityError('unsupported format version ' + version)
+    }
+    const hasBlock = readUInt(1) === 1
+    const block = readUInt(4)
+    const storedRoot = readNode().data
+    if (root !== undefined && storedRoot !== root) {
+      throw new TreeIntegrityError('stored root ' + storedRoot + ' does not match ' + root)
+    }
+
+    // Skips the constructor so that the leaves aren't sorted and hashed again.
+    let tree = PlasmaMerkleSumTree._createWithoutLevels([], hasBlock ? block : undefined)
+    const numLeaves = readUInt(4)
+    for (let i = 0; i < numLeaves; i++) {
+      const TransactionType = TRANSACTION_TYPES[readUInt(1)]
+      const encoded = read(readUInt(4))
+      if (TransactionType === undefined) {
+        throw new TreeIntegrityError('unknown type for transaction ' + i)
+      }
+      try {
+        tree.leaves.push(TransactionType.fromBuffer(encoded))
+      } catch (err) {
+        throw new TreeIntegrityError('transaction ' + i + ' could not be decoded: ' + err.message)
+      }
+    }
+
+    tree.levels = []
+    const numLevels = readUInt(1)
+    for (let depth = 0; depth < numLevels; depth++) {
+      let level = new Array(readUInt(4))
+      for (let i = 0; i < level.length; i++) {
+        level[i] = readNode()
+      }
+      tree.levels.push(level)
+    }
+    if (tree.levels.length === 0) {
+      throw new TreeIntegrityError('tree has no levels')
+    }
+
+    tree.leafTransfers = tree.levels[0].map(() => {
+      const transaction = tree.leaves[readUInt(4)]
+      const transferIndex = readUInt(1)
+      if (transaction === undefined || transferIndex >= transaction.transfers.length) {
+        throw new TreeIntegrityError('leaf points to a missing transfer')
+      }
+      return { transaction: transaction, transferIndex: transferIndex }
+    })
+    if (offset !== buffer.length) {
+      throw new TreeIntegrityError((buffer.length - offset) + ' unexpected trailing bytes')
+    }
+
+    tree._checkIntegrity(storedRoot)
+    return tree
+  }
+
+  /**
+   * Checks that a reloaded tree is consistent with its transactions and root.
+   * @param {String} root Stored root of the tree.
+   */
+  _checkIntegrity (root) {
+    const violations = this.findViolations()
+    if (violations.length > 0) {
+      throw new TreeIntegrityError(violations[0].message)
+    }
+
+    const problems = this.verify().problems
+    if (problems.length > 0) {
+      throw new TreeIntegrityError(problems[0].message)
+    }
+
+    const computedRoot = this.root() ? this.root().data : '00'.repeat(NODE_BYTE_SIZE)
+    if (computedRoot !== root) {
+      throw new TreeIntegrityError('computed root ' + computedRoot + ' does not match stored root ' + root)
+    }
+  }
+
+  /**
+   * Returns every transfer in a list of transactions, sorted by start, along with its transaction's encoding.
+   * @param {*} transactions List of Transaction or SignedTransaction objects.
+   * @return {Array} List of `{ start, end, encoded, transaction, transferIndex }` objects.
+   */
+  static _sortTransfers (transactions) {
+    // Pull out the coin range and encoding of each transaction.
+    let transfers = []
+    transactions.forEach((transaction) => {
+      const encoded = Buffer.from(getTransactionEncoding(transaction), 'hex')
+      transaction.transfers.forEach((transfer, transferIndex) => {
+        const { start, end } = getCoinRange(transfer)
+        transfers.push({
+          start: start,
+          end: end,
+          encoded: encoded,
+          transaction: transaction,
+          transferIndex: transferIndex
+        })
+      })
+    })
+    return transfers.sort((a, b) => {
+      return a.start.cmp(b.start)
+    })
+  }
+
+  /**
+   * Returns a tree with no leaf nodes, skipping the constructor so nothing is sorted, hashed or checked.
+   * Used when the levels of a tree come from somewhere else.
+   * @param {*} leaves List of Transaction or SignedTransaction objects.
+   * @param {*} block Block number of the tree.
+   * @return {PlasmaMerkleSumTree} The tree.
+   */
+  static _createWithoutLevels (leaves, block) {
+    let tree = Object.create(PlasmaMerkleSumTree.prototype)
+    tree.sumByteSize = MerkleTreeNode.SUM_BYTE_SIZE
+    tree.hashByteSize = MerkleTreeNode.HASH_BYTE_SIZE
+    tree.leaves = leaves.slice()
+    tree.block = getBlockNumber(leaves, block)
+    tree.leafTransfers = []
+    tree.levels = [[]]
+    return tree
+  }
+
+  /**
+   * Returns the index of the leaf of each transfer in a transaction.
+   * Throws if the transaction isn't in the tree.
+   * @param {*} transaction A Transaction or SignedTransaction, or the hash of the unsigned transaction.
+   * @return {Array<Number>} Leaf index of each transfer, in the same order as the transaction's transfers.
+   */
+  _getTransactionLeafIndices (transaction) {
+    let hash
+    if (transaction instanceof String || typeof transaction === 'string') {
+      hash = '0x' + transaction.replace(/^0x/, '').toLowerCase()
+    } else {
+      hash = getTransactionHash(transaction)
+    }
+
+    if (this._transactionsByHash === undefined) {
+      this._transactionsByHash = new Map(this.leaves.map((leaf) => [getTransactionHash(leaf), leaf]))
+    }
+    const found = this._transactionsByHash.get(hash)
+    if (found === undefined) {
+      throw new Error('Transaction ' + hash + ' is not in this tree')
+    }
+
+    // Each transfer starts its own leaf, so its leaf is the one that contains its start.
+    return found.transfers.map((transfer) => {
+      return this.getLeafIndex(getCoinRange(transfer).start)
+    })
+  }
+
+  /**
+   * Returns any overlaps between a new transaction's transfers and the rest of the tree.
+   * @param {*} transaction A Transaction or SignedTransaction object.
+   * @return {Array} List of violations.
+   */
+  _findAppendOverlaps (transaction) {
+    let violations = []
+
+    transaction.transfers.forEach((transfer, transferIndex) => {
+      const added = { transaction: transaction, transferIndex: transferIndex }
+      const { start, end } = getCoinRange(transfer)
+
+      // Transfers already in the tree don't overlap, so only the neighbours need to be checked.
+      const leafIndex = this._getInsertionIndex(start)
+      const neighbours = [this.leafTransfers[leafIndex - 1], this.leafTransfers[leafIndex]]
+      neighbours.forEach((neighbour) => {
+        if (neighbour === undefined) {
+          return
+        }
+        const other = getCoinRange(neighbour.transaction.transfers[neighbour.transferIndex])
+        if (other.start.lt(end) && other.end.gt(start)) {
+          violations.push(overlapViolation(neighbour, added))
+        }
+      })
+
+      // Transfers within the same transaction also can't overlap.
+      for (let i = 0; i < transferIndex; i++) {
+        const other = getCoinRange(transaction.transfers[i])
+        if (other.start.lt(end) && other.end.gt(start)) {
+          violations.push(overlapViolation({ transaction: transaction, transferIndex: i }, added))
+        }
+      }
+    })
+
+    return violations
+  }
+
+  /**
+   * Returns the index at which a leaf with a given start would be inserted.
+   * New leaves go after any leaves with the same start, just like a stable sort would.
+   * @param {*} start Start of the new leaf.
+   * @return {Number} Index of the new leaf.
+   */
+  _getInsertionIndex (start) {
+    if (this.leafTransfers.length === 0) {
+      return 0
+    }
+
+    const leafIndex = this.getLeafIndex(start)
+    return this._getLeafStart(leafIndex).lte(start) ? leafIndex + 1 : leafIndex
+  }
+
+  /**
+   * Returns the sum of the leaf at a given index.
+   * @param {Number} leafIndex Index of the leaf.
+   * @return {*} Sum of the leaf.
+   */
+  _getLeafSum (leafIndex) {
+    const lastIndex = this.leafTransfers.length - 1
+    if (lastIndex === 0) {
+      return constants.MAX_COIN_ID
+    }
+
+    // Custom rule for the first leaf, if there's more than one.
+    // Sum of the first leaf is always defined as
+    // the start of its sibling transaction minus the minimum possible coin ID.
+    // This is to allow for "implicit" non-inclusion proofs
+    // for any ranges where `end` is less than `start` of the first transaction.
+    if (leafIndex === 0) {
+      return this._getLeafStart(1).sub(constants.MIN_COIN_ID)
+    }
+
+    // Custom rule for the last leaf, if there's more than one.
+    // Sum of the last leaf is always defined as
+    // the maximum possible coin ID minus the start of the last transaction.
+    // This is again to allow for "implicit" non-inclusion proofs
+    // for any ranges where `start` is greater than `end`.
+    if (leafIndex === lastIndex) {
+      return constants.MAX_COIN_ID.sub(this._getLeafStart(lastIndex))
+    }
+
+    // For all leaves except the first and last,
+    // sum at the leaves is defined as
+    // start of the next leaf minus start of the current leaf.
+    return this._getLeafStart(leafIndex + 1).sub(this._getLeafStart(leafIndex))
+  }
+
+  /**
+   * Returns the signature of the sender of the transfer at a given leaf.
+   * Returns an empty signature if the leaf came from an unsigned Transaction.
+   * @param {Number} leafIndex Index of the leaf.
+   * @return {Signature} A copy of the signature.
+   */
+  _getLeafSignature (leafIndex) {
+    const { transaction, transferIndex } = this.leafTransfers[leafIndex]
+    return new Signature((transaction instanceof SignedTransaction) ? transaction.signatures[transferIndex].encoded : EMPTY_SIGNATURE)
+  }
+
+  /**
+   * Returns the start of the transfer at a given leaf.
+   * @param {Number} leafIndex Index of the leaf.
+   * @return {*} Start of the transfer.
+   */
+  _getLeafStart (leafIndex) {
+    const { transaction, transferIndex } = this.leafTransfers[leafIndex]
+    return getCoinRange(transaction.transfers[transferIndex]).start
+  }
+
+  /**
+   * Checks whether any transfer in a transaction overlaps a range of coins.
+   * @param {*} transaction A Transaction or SignedTransaction object.
+   * @param {*} start First coin ID of the range, inclusive.
+   * @param {*} end Last coin ID of the range, exclusive.
+   * @return {boolean} `true` if the range is touched, `false` otherwise.
+   */
+  static touchesRange (transaction, start, end) {
+    return transaction.transfers.some((transfer) => {
+      const range = getCoinRange(transfer)
+      return range.start.lt(end) && range.end.gt(start)
     })
   }
 }
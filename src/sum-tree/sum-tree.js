@@ -1,37 +1,97 @@
 const web3 = require('web3')
+const BN = web3.utils.BN
+const keccak256 = require('js-sha3').keccak256
 const MerkleTreeNode = require('./merkle-tree-node')
 
 class MerkleSumTree {
-  constructor (leaves) {
+  /**
+   * @param {Array} leaves List of `{ data, sum }` objects.
+   * @param {*} options Optional `hash` function, from a Buffer to a Buffer, and `sumByteSize`.
+   * Trees use keccak256 and 16 byte sums by default.
+   */
+  constructor (leaves, options = {}) {
+    this.hashFunction = options.hash
+    this.sumByteSize = options.sumByteSize || MerkleTreeNode.SUM_BYTE_SIZE
+    this.hashByteSize = this.hashFunction ? this.hashFunction(Buffer.alloc(0)).length : MerkleTreeNode.HASH_BYTE_SIZE
+
     if (!leaves) {
       this.leaves = []
       this.levels = this.generate([], [[]])
     } else {
-      this.leaves = leaves
+      // Copied so that appending doesn't change the caller's list.
+      this.leaves = leaves.slice()
       let bottom = this.parseLeaves(leaves)
       this.levels = this.generate(bottom, [bottom])
     }
   }
 
+  /**
+   * Hashes a value with keccak256.
+   * Buffers are hashed directly, anything else is hashed like `soliditySha3`.
+   * @param {*} value Value to hash.
+   * @return {String} The hash as a hex string.
+   */
   static hash (value) {
+    if (Buffer.isBuffer(value)) {
+      return '0x' + keccak256(value)
+    }
     return web3.utils.soliditySha3(value)
   }
 
   static parent (left, right) {
-    return new MerkleTreeNode(MerkleSumTree.hash('0x' + left.data + right.data), (left.sum.add(right.sum)))
+    const hash = Buffer.from(keccak256.arrayBuffer(Buffer.concat([left.buffer, right.buffer])))
+    return new MerkleTreeNode(hash, left.sum.add(right.sum))
   }
 
   static emptyLeaf () {
     return new MerkleTreeNode('0x0000000000000000000000000000000000000000000000000000000000000000', 0)
   }
 
+  /**
+   * Hashes a value with this tree's hash function.
+   * With a custom hash function, hex strings are hashed as bytes and other strings as UTF-8.
+   * @param {*} value Value to hash.
+   * @return {String} The hash as a hex string.
+   */
+  hash (value) {
+    if (!this.hashFunction) {
+      return MerkleSumTree.hash(value)
+    }
+    if (!Buffer.isBuffer(value)) {
+      value = web3.utils.isHexStrict(value) ? Buffer.from(value.slice(2), 'hex') : Buffer.from(String(value))
+    }
+    return '0x' + this.hashFunction(value).toString('hex')
+  }
+
+  /**
+   * Returns the parent of two nodes, using this tree's hash function and sum width.
+   * @param {MerkleTreeNode} left Left child.
+   * @param {MerkleTreeNode} right Right child.
+   * @return {MerkleTreeNode} The parent node.
+   */
+  parent (left, right) {
+    if (!this.hashFunction && this.sumByteSize === MerkleTreeNode.SUM_BYTE_SIZE) {
+      return MerkleSumTree.parent(left, right)
+    }
+    const data = Buffer.concat([left.buffer, right.buffer])
+    const hash = this.hashFunction ? this.hashFunction(data) : Buffer.from(keccak256.arrayBuffer(data))
+    return new MerkleTreeNode(hash, left.sum.add(right.sum), this.sumByteSize)
+  }
+
+  /**
+   * @return {MerkleTreeNode} An empty node as wide as this tree's nodes.
+   */
+  emptyLeaf () {
+    return new MerkleTreeNode(Buffer.alloc(this.hashByteSize), 0, this.sumByteSize)
+  }
+
   root () {
     return this.levels[this.levels.length - 1][0]
   }
 
   parseLeaves (leaves) {
     return leaves.map((leaf) => {
-      return new MerkleTreeNode(MerkleSumTree.hash(leaf.data), leaf.sum)
+      return new MerkleTreeNode(this.hash(leaf.data), leaf.sum, this.sumByteSize)
     })
   }
 
@@ -40,18 +100,171 @@ class MerkleSumTree {
       return [children]
     }
 
-    let parents = []
-    for (let i = 0; i < children.length; i += 2) {
-      let left = children[i]
-      let right = (i + 1 === children.length) ? MerkleSumTree.emptyLeaf() : children[i + 1]
-      let parent = MerkleSumTree.parent(left, right)
-      parents.push(parent)
-    }
+    // Build one level at a time until only the root is left.
+    while (children.length > 1) {
+      let parents = new Array(Math.ceil(children.length / 2))
+      for (let i = 0; i < children.length; i += 2) {
+        let left = children[i]
+        let right = (i + 1 === children.length) ? this.emptyLeaf() : children[i + 1]
+        parents[i / 2] = this.parent(left, right)
+      }
 
-    levels.push(parents)
-    this.generate(parents, levels)
+      levels.push(parents)
+      children = parents
+    }
     return levels
   }
+
+  /**
+   * Returns an inclusion proof for the leaf at a given index.
+   * @param {Number} leafIndex Index of the leaf.
+   * @return {Array<String>} The encoded sibling of the leaf at each level, from the bottom up.
+   */
+  getInclusionProof (leafIndex) {
+    if (leafIndex >= this.levels[0].length || leafIndex < 0) {
+      throw new Error('Invalid leaf index')
+    }
+
+    let inclusionProof = []
+    let index = leafIndex
+    for (let depth = 0; depth < this.levels.length - 1; depth++) {
+      const sibling = this.levels[depth][index ^ 1] || this.emptyLeaf()
+      inclusionProof.push(sibling.data)
+      index = index >> 1
+    }
+    return inclusionProof
+  }
+
+  /**
+   * Checks whether a leaf is in a tree with a given root.
+   * Trees built with options need the same options to check their proofs.
+   * @param {*} leaf A `{ data, sum }` object.
+   * @param {Number} leafIndex Index of the leaf.
+   * @param {Array<String>} inclusionProof Proof returned by `getInclusionProof`.
+   * @param {String} root The root node of the tree to check, as returned by `root().data`.
+   * @param {*} options Options the tree was built with.
+   * @return {boolean} `true` if the leaf is in the tree, `false` otherwise.
+   */
+  static checkInclusionProof (leaf, leafIndex, inclusionProof, root, options) {
+    const tree = new MerkleSumTree(undefined, options)
+    const nodeByteSize = tree.hashByteSize + tree.sumByteSize
+    if (leafIndex < 0 || leafIndex >= Math.pow(2, inclusionProof.length)) {
+      return false
+    }
+
+    let computedNode = tree.parseLeaves([leaf])[0]
+    let index = leafIndex
+    for (let i = 0; i < inclusionProof.length; i++) {
+      const encodedSibling = Buffer.from(inclusionProof[i].replace(/^0x/, ''), 'hex')
+      if (encodedSibling.length !== nodeByteSize) {
+        return false
+      }
+      const sibling = new MerkleTreeNode(
+        encodedSibling.slice(0, tree.hashByteSize),
+        new BN(encodedSibling.slice(tree.hashByteSize)),
+        tree.sumByteSize
+      )
+      computedNode = (index % 2 === 0) ? tree.parent(computedNode, sibling) : tree.parent(sibling, computedNode)
+      index = index >> 1
+    }
+    return computedNode.data === root.replace(/^0x/, '')
+  }
+
+  /**
+   * Checks that every node in the tree matches its children and fits in the tree's sum width.
+   * Sums that don't fit would be silently truncated in the node's `data`.
+   * Each problem has a `reason` (`wrong-level-size`, `node-mismatch` or `sum-overflow`),
+   * a `message` and the `level` and `index` of the node.
+   * @return {*} A `{ valid, problems }` object.
+   */
+  verify () {
+    let problems = []
+    const sumLimit = new BN(1).shln(this.sumByteSize * 8)
+
+    this.levels.forEach((level, depth) => {
+      const children = this.levels[depth - 1]
+      if (depth > 0 && level.length !== Math.ceil(children.length / 2)) {
+        problems.push({
+          reason: 'wrong-level-size',
+          message: 'level ' + depth + ' has the wrong number of nodes',
+          level: depth,
+          index: null
+        })
+        return
+      }
+
+      level.forEach((node, index) => {
+        if (node.sum.isNeg() || node.sum.gte(sumLimit)) {
+          problems.push({
+            reason: 'sum-overflow',
+            message: 'node ' + index + ' at level ' + depth + ' has a sum wider than ' + this.sumByteSize + ' bytes',
+            level: depth,
+            index: index
+          })
+        }
+        if (depth === 0) {
+          return
+        }
+
+        const expected = this.parent(children[2 * index], children[2 * index + 1] || this.emptyLeaf())
+        if (node.data !== expected.data || !node.sum.eq(expected.sum)) {
+          problems.push({
+            reason: 'node-mismatch',
+            message: 'node ' + index + ' at level ' + depth + ' does not match its children',
+            level: depth,
+            index: index
+          })
+        }
+      })
+    })
+
+    const top = this.levels[this.levels.length - 1]
+    if (top.length > 1) {
+      problems.push({
+        reason: 'wrong-level-size',
+        message: 'level ' + (this.levels.length - 1) + ' has more than one node but no parent',
+        level: this.levels.length - 1,
+        index: null
+      })
+    }
+
+    return {
+      valid: problems.length === 0,
+      problems: problems
+    }
+  }
+
+  /**
+   * Recomputes every node that depends on the leaves at or after a given index.
+   * Used after leaves are changed or inserted so the whole tree doesn't have to be rebuilt.
+   * @param {Number} fromIndex Index of the first leaf that changed.
+   */
+  regenerate (fromIndex) {
+    let index = fromIndex
+    let depth = 0
+    while (this.levels[depth].length > 1) {
+      const children = this.levels[depth]
+      if (this.levels[depth + 1] === undefined) {
+        this.levels.push([])
+      }
+      const parents = this.levels[depth + 1]
+      parents.length = Math.ceil(children.length / 2)
+
+      // Start from the left child of the pair so the pair's parent is recomputed.
+      index -= index % 2
+      for (let i = index; i < children.length; i += 2) {
+        let left = children[i]
+        let right = (i + 1 === children.length) ? this.emptyLeaf() : children[i + 1]
+        parents[i / 2] = this.parent(left, right)
+      }
+
+      index /= 2
+      depth++
+    }
+
+    // Drop any levels left over above the new root.
+    this.levels.length = depth + 1
+  }
 }
 
 module.exports = MerkleSumTree
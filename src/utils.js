@@ -1,5 +1,6 @@
 const Transaction = require('../src/serialization').models.Transaction
 const BN = require('web3').utils.BN
+const constants = require('./constants')
 
 const int32ToHex = (x) => {
   x &= 0xFFFFFFFF
@@ -7,24 +8,35 @@ const int32ToHex = (x) => {
   return ('0000000000000000' + hex).slice(-16)
 }
 
+/**
+ * Returns the ID of a coin, which is its token followed by its index within that token.
+ * @param {*} token Token of the coin.
+ * @param {*} index Index of the coin within the token.
+ * @return {BN} The coin ID.
+ */
+const getCoinId = (token, index) => {
+  return new BN(token).shln(constants.START_BYTE_SIZE * 8).add(new BN(index))
+}
+
 /**
  * Returns a list of `n` sequential transactions.
  * @param {*} n Number of sequential transactions to return.
+ * @param {String} sender Address to use as the sender of each transfer.
  * @return {*} A list of sequential transactions.
  */
-const getSequentialTxs = (n) => {
+const getSequentialTxs = (n, sender = '0x000000000000000f000000000000000000000000') => {
   let txs = []
 
   for (let i = 0; i < n; i++) {
     txs[i] = new Transaction({
+      block: 0,
       transfers: [
         {
-          sender: '0x000000000000000f000000000000000000000000', // random fs here because contract crashes on decoding bytes20 of all zeros to address
+          sender: sender, // default has random fs here because contract crashes on decoding bytes20 of all zeros to address
           recipient: '0x000000000000f000000000000000000000000000',
           token: 0,
           start: i * 10,
-          end: (i + 1) * 10,
-          block: 0
+          end: (i + 1) * 10
         }
       ],
       signatures: [
@@ -60,6 +72,7 @@ function genRandomTX (blockNum, senderAddress, recipientAddress, numTransfers) {
 
 module.exports = {
   int32ToHex: int32ToHex,
+  getCoinId: getCoinId,
   getSequentialTxs: getSequentialTxs,
   genRandomTX: genRandomTX
 }
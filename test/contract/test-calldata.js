@@ -0,0 +1,84 @@
+const chai = require('chai')
+const Web3 = require('web3')
+
+const PlasmaMerkleSumTree = require('../../src/sum-tree/plasma-sum-tree')
+const TransactionProof = require('../../src/serialization').models.TransactionProof
+const contract = require('../../src/contract')
+const utils = require('../../src/utils')
+
+const abi = contract.abi
+const calldata = contract.calldata
+
+chai.should()
+const web3 = new Web3()
+
+/**
+ * Splits calldata into its function selector and decoded arguments.
+ * @param {*} fragment ABI fragment of the called function.
+ * @param {String} data The calldata.
+ * @return {*} The selector and the arguments.
+ */
+const decodeCall = (fragment, data) => {
+  return {
+    selector: data.slice(0, 10),
+    args: web3.eth.abi.decodeParameters(fragment.inputs, '0x' + data.slice(10))
+  }
+}
+
+describe('Calldata', () => {
+  const owner = web3.eth.accounts.create()
+  const txs = utils.getSequentialTxs(8, owner.address).map((tx) => {
+    return tx.sign(owner.privateKey)
+  })
+  const tree = new PlasmaMerkleSumTree(txs)
+  const tx = txs[3]
+  const transactionProof = tree.getTransactionProof(tx)
+
+  it('should encode a call to beginExit', () => {
+    const { selector, args } = decodeCall(abi.BEGIN_EXIT, calldata.encodeBeginExit(tx.transfers[0], 7))
+
+    selector.should.equal(web3.eth.abi.encodeFunctionSignature('beginExit(uint256,uint256,uint256,uint256)'))
+    args.tokenType.should.equal('0')
+    args.blockNumber.should.equal('7')
+    args.untypedStart.should.equal('30')
+    args.untypedEnd.should.equal('40')
+  })
+
+  it('should encode the unsigned transaction and its proof', () => {
+    const data = calldata.encodeChallengeSpentCoin(2, 35, tx, 0, transactionProof)
+    const { selector, args } = decodeCall(abi.CHALLENGE_SPENT_COIN, data)
+
+    selector.should.equal(web3.eth.abi.encodeFunctionSignature('challengeSpentCoin(uint256,uint256,int128,bytes,bytes)'))
+    args.exitID.should.equal('2')
+    args.coinID.should.equal('35')
+    args.transferIndex.should.equal('0')
+    args.transactionEncoding.should.equal('0x' + tx.transactionEncoded.toLowerCase())
+    args.transactionProofEncoding.should.equal('0x' + transactionProof.encoded.toLowerCase())
+  })
+
+  it('should encode proofs that still verify once decoded', () => {
+    const data = calldata.encodeCheckTransactionProof(tx, 0, transactionProof.encoded)
+    const { selector, args } = decodeCall(abi.CHECK_TRANSACTION_PROOF, data)
+    const decodedProof = new TransactionProof(args.transactionProofEncoding.slice(2))
+
+    selector.should.equal(web3.eth.abi.encodeFunctionSignature('checkTransactionProofAndGetTypedTransfer(bytes,bytes,int128)'))
+    PlasmaMerkleSumTree.checkTransactionProof(tx, decodedProof, tree.root().data).should.be.true
+  })
+
+  it('should encode responses to challenges', () => {
+    const inclusion = decodeCall(abi.RESPOND_TRANSACTION_INCLUSION, calldata.encodeRespondTransactionInclusion(4, tx, 0, transactionProof))
+    const history = decodeCall(abi.RESPOND_INVALID_HISTORY, calldata.encodeRespondInvalidHistory(5, tx.transactionEncoded, 0, transactionProof))
+
+    inclusion.args.challengeID.should.equal('4')
+    inclusion.args.transactionEncoding.should.equal('0x' + tx.transactionEncoded.toLowerCase())
+    history.args.challengeID.should.equal('5')
+    history.args.transactionEncoding.should.equal('0x' + tx.transactionEncoded.toLowerCase())
+  })
+
+  it('should encode invalid history challenges', () => {
+    const { selector, args } = decodeCall(abi.CHALLENGE_INVALID_HISTORY, calldata.encodeChallengeInvalidHistory(1, 31, tx, 0, transactionProof))
+
+    selector.should.equal(web3.eth.abi.encodeFunctionSignature('challengeInvalidHistoryWithTransaction(uint256,uint256,int128,bytes,bytes)'))
+    args.coinID.should.equal('31')
+  })
+})
@@ -1,16 +1,30 @@
 /* eslint-disable no-new */
 const chai = require('chai')
 const BigNum = require('bn.js')
+const Web3 = require('web3')
 
-const models = require('../../src/serialization').models
+const serialization = require('../../src/serialization')
+const models = serialization.models
+const Schema = require('../../src/serialization/schema')
+const Bytes = require('../../src/serialization/schema-types/bytes')
 const Transfer = models.Transfer
 const Signature = models.Signature
 const Transaction = models.Transaction
 const SignedTransaction = models.SignedTransaction
 const TransferProof = models.TransferProof
 const TransactionProof = models.TransactionProof
+const Deposit = models.Deposit
+const Exit = models.Exit
+const BlockHeader = models.BlockHeader
+const Block = models.Block
+const PlasmaMerkleSumTree = require('../../src/sum-tree/plasma-sum-tree')
+const InvalidBlockError = require('../../src/sum-tree/errors').InvalidBlockError
+const DecodeError = serialization.errors.DecodeError
+const ValidationError = serialization.errors.ValidationError
+const utils = require('../../src/utils')
 
 const should = chai.should()
+const web3 = new Web3()
 
 const encodedTransfer = '43aaDF3d5b44290385fe4193A1b13f15eF3A4FD5a12bcf1159aa01c739269391ae2d0be4037259f300000001000000000000000000000002000000000000000000000003'
 const decodedTransfer = {
@@ -64,6 +78,27 @@ const decodedTransactionProof = {
   ]
 }
 
+const encodedDeposit = '43aaDF3d5b44290385fe4193A1b13f15eF3A4FD5' + '00000001' + '000000000000000000000002' + '000000000000000000000003' + '00000004'
+const decodedDeposit = {
+  owner: '0x43aaDF3d5b44290385fe4193A1b13f15eF3A4FD5',
+  token: new BigNum('1', 'hex'),
+  start: new BigNum('2', 'hex'),
+  end: new BigNum('3', 'hex'),
+  block: new BigNum('4', 'hex')
+}
+
+const encodedExit = '0000000000000000000000000000000000000000000000000000000000000005' + encodedDeposit
+const decodedExit = {
+  id: new BigNum('5', 'hex'),
+  ...decodedDeposit
+}
+
+const encodedBlockHeader = '00000007' + '563f225cdc192264a90e7e4b402815479c71a16f1593afa4fc6323e18583472affffffffffffffffffffffffffffffff'
+const decodedBlockHeader = {
+  number: new BigNum('7', 'hex'),
+  root: Buffer.from('563f225cdc192264a90e7e4b402815479c71a16f1593afa4fc6323e18583472affffffffffffffffffffffffffffffff', 'hex')
+}
+
 describe('Serialization', () => {
   describe('Transfer', () => {
     it('should be correctly encoded', () => {
@@ -134,7 +169,7 @@ describe('Serialization', () => {
     })
   })
 
-  describe.skip('SignedTransaction', () => {
+  describe('SignedTransaction', () => {
     it('shoud be correctly encoded', () => {
       const stx = new SignedTransaction(decodedSignedTransaction)
 
@@ -146,6 +181,70 @@ describe('Serialization', () => {
 
       stx.decoded.should.deep.equal(decodedSignedTransaction)
     })
+
+    it('should have the same transaction hash as the unsigned Transaction', () => {
+      const stx = new SignedTransaction(encodedSignedTransaction)
+      const tx = new Transaction(encodedTransaction)
+
+      stx.transactionHash.should.equal(tx.hash)
+    })
+  })
+
+  describe('Signing', () => {
+    const alice = web3.eth.accounts.create()
+    const bob = web3.eth.accounts.create()
+    const getTransaction = () => {
+      return new Transaction({
+        block: 1,
+        transfers: [
+          { ...decodedTransfer, ...{ sender: alice.address } },
+          { ...decodedTransfer, ...{ sender: bob.address, start: new BigNum(4), end: new BigNum(5) } },
+          { ...decodedTransfer, ...{ sender: alice.address, start: new BigNum(6), end: new BigNum(7) } }
+        ]
+      })
+    }
+
+    it('should sign once for each transfer sender', () => {
+      const tx = getTransaction()
+      const stx = tx.sign([alice.privateKey, bob.privateKey])
+
+      stx.signatures.length.should.equal(3)
+      stx.signatures[0].encoded.should.equal(stx.signatures[2].encoded)
+      stx.transactionHash.should.equal(tx.hash)
+    })
+
+    it('should produce a SignedTransaction that verifies', () => {
+      const stx = getTransaction().sign([bob.privateKey, alice.privateKey])
+
+      stx.verify().should.be.true
+      stx.recoverSenders().should.deep.equal([alice.address, bob.address, alice.address])
+    })
+
+    it('should still verify after an encoding round trip', () => {
+      const stx = getTransaction().sign([alice.privateKey, bob.privateKey])
+
+      new SignedTransaction(stx.encoded).verify().should.be.true
+    })
+
+    it('should throw if a sender is missing a private key', () => {
+      should.Throw(() => {
+        getTransaction().sign(alice.privateKey)
+      }, 'Missing private key for sender ' + bob.address)
+    })
+
+    it('should not verify if the transaction was modified after signing', () => {
+      const stx = getTransaction().sign([alice.privateKey, bob.privateKey])
+      stx.args.block = new BigNum(2)
+
+      stx.verify().should.be.false
+    })
+
+    it('should not verify if a signature is from the wrong sender', () => {
+      const stx = getTransaction().sign([alice.privateKey, bob.privateKey])
+      stx.signatures[1] = stx.signatures[0]
+
+      stx.verify().should.be.false
+    })
   })
 
   describe('TransferProof', () => {
@@ -175,4 +274,430 @@ describe('Serialization', () => {
       transactionProof.decoded.should.deep.equal(decodedTransactionProof)
     })
   })
+  describe('Deposit', () => {
+    it('should be correctly encoded', () => {
+      const deposit = new Deposit(decodedDeposit)
+
+      deposit.encoded.should.equal(encodedDeposit)
+    })
+
+    it('should be correctly decoded', () => {
+      const deposit = new Deposit(encodedDeposit)
+
+      deposit.decoded.should.deep.equal(decodedDeposit)
+    })
+
+    it('should be hashed from its encoding', () => {
+      new Deposit(decodedDeposit).hash.should.equal(web3.utils.sha3('0x' + encodedDeposit))
+    })
+  })
+
+  describe('Exit', () => {
+    it('should be correctly encoded', () => {
+      const exit = new Exit(decodedExit)
+
+      exit.encoded.should.equal(encodedExit)
+    })
+
+    it('should be correctly decoded', () => {
+      const exit = new Exit(encodedExit)
+
+      exit.decoded.should.deep.equal(decodedExit)
+    })
+
+    it('should throw if trying to create an Exit with an invalid owner', () => {
+      should.Throw(() => {
+        new Exit({
+          ...decodedExit,
+          owner: '0x0'
+        })
+      }, 'Address must be a valid Ethereum address')
+    })
+  })
+
+  describe('BlockHeader', () => {
+    it('should be correctly encoded', () => {
+      const blockHeader = new BlockHeader(decodedBlockHeader)
+
+      blockHeader.encoded.should.equal(encodedBlockHeader)
+    })
+
+    it('should be correctly decoded', () => {
+      const blockHeader = new BlockHeader(encodedBlockHeader)
+
+      blockHeader.decoded.should.deep.equal(decodedBlockHeader)
+    })
+
+    it('should accept a root as a hex string', () => {
+      const blockHeader = new BlockHeader({ number: 7, root: encodedBlockHeader.slice(8) })
+
+      blockHeader.encoded.should.equal(encodedBlockHeader)
+      blockHeader.hash.should.equal(web3.utils.sha3('0x' + encodedBlockHeader))
+    })
+  })
+  describe('Block', () => {
+    const owner = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(5, owner.address).map((tx) => {
+      return tx.sign(owner.privateKey)
+    })
+    const block = new Block({ number: 0, transactions: txs })
+
+    it('should be encoded as its number followed by its transactions', () => {
+      block.encoded.should.equal('00000000' + '00000005' + txs.map((tx) => tx.encoded).join(''))
+    })
+
+    it('should be decoded into signed transactions', () => {
+      const decoded = new Block(block.encoded)
+
+      decoded.args.number.toNumber().should.equal(0)
+      decoded.transactions.length.should.equal(5)
+      decoded.transactions[2].should.be.an.instanceof(SignedTransaction)
+      decoded.transactions[2].encoded.should.equal(txs[2].encoded)
+      decoded.encoded.should.equal(block.encoded)
+    })
+
+    it('should keep the transactions it was created with', () => {
+      block.transactions[3].should.equal(txs[3])
+    })
+
+    it('should have the root of its transactions\' sum tree', () => {
+      const root = new PlasmaMerkleSumTree(txs).root().data
+
+      block.root().data.should.equal(root)
+      new Block(block.encoded).root().data.should.equal(root)
+      block.header.decoded.should.deep.equal({ number: new BigNum(0), root: Buffer.from(root, 'hex') })
+    })
+
+    it('should return proofs by transaction hash', () => {
+      const decoded = new Block(block.encoded)
+      const transactionProof = decoded.getTransactionProof(txs[1].transactionHash)
+
+      PlasmaMerkleSumTree.checkTransactionProof(txs[1], transactionProof, block.root().data).should.be.true
+    })
+
+    it('should have an empty root if it has no transactions', () => {
+      const emptyBlock = new Block({ number: 3, transactions: [] })
+
+      should.not.exist(emptyBlock.root())
+      emptyBlock.header.encoded.should.equal('00000003' + '00'.repeat(48))
+    })
+
+    it('should throw when building the tree of a block with transactions from another block', () => {
+      const invalidBlock = new Block({ number: 1, transactions: txs })
+
+      should.Throw(() => {
+        invalidBlock.root()
+      }, InvalidBlockError)
+    })
+  })
+  describe('Buffer Codec', () => {
+    const owner = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(3, owner.address).map((tx) => {
+      return tx.sign(owner.privateKey)
+    })
+    const cases = [
+      [Transfer, encodedTransfer],
+      [Signature, encodedSignature],
+      [Transaction, encodedTransaction],
+      [SignedTransaction, encodedSignedTransaction],
+      [TransferProof, encodedTransferProof],
+      [TransactionProof, encodedTransactionProof],
+      [Deposit, encodedDeposit],
+      [Exit, encodedExit],
+      [BlockHeader, encodedBlockHeader],
+      [Block, new Block({ number: 0, transactions: txs }).encoded]
+    ]
+
+    cases.forEach(([Model, encoded]) => {
+      it('should encode a ' + Model.name + ' to the same bytes as its hex encoding', () => {
+        const model = new Model(encoded)
+
+        model.toBuffer().should.deep.equal(Buffer.from(encoded, 'hex'))
+      })
+
+      it('should decode a ' + Model.name + ' from a Buffer', () => {
+        const model = Model.fromBuffer(Buffer.from(encoded, 'hex'))
+
+        model.should.be.an.instanceof(Model)
+        model.encoded.should.equal(encoded.toLowerCase())
+        model.hash.should.equal(new Model(encoded).hash)
+      })
+    })
+
+    it('should decode nested models from a Buffer', () => {
+      const signedTransaction = SignedTransaction.fromBuffer(Buffer.from(encodedSignedTransaction, 'hex'))
+
+      signedTransaction.transfers[0].should.be.an.instanceof(Transfer)
+      signedTransaction.transfers[0].args.end.toNumber().should.equal(3)
+      signedTransaction.signatures[0].args.v.should.deep.equal(Buffer.from('1b', 'hex'))
+    })
+
+    it('should not share memory with the decoded Buffer', () => {
+      const buffer = Buffer.from(encodedSignature, 'hex')
+      const signature = Signature.fromBuffer(buffer)
+      buffer.fill(0)
+
+      signature.encoded.should.equal(encodedSignature)
+    })
+
+    it('should decode a Block from a Buffer into signed transactions', () => {
+      const block = Block.fromBuffer(new Block({ number: 0, transactions: txs }).toBuffer())
+
+      block.transactions.length.should.equal(3)
+      block.transactions[1].should.be.an.instanceof(SignedTransaction)
+      block.transactions[1].toBuffer().should.deep.equal(txs[1].toBuffer())
+    })
+  })
+  describe('Strict Decoding', () => {
+    /**
+     * Returns the DecodeError thrown by a function.
+     * @param {Function} fn Function that should throw.
+     * @return {DecodeError} The error.
+     */
+    const getDecodeError = (fn) => {
+      try {
+        fn()
+      } catch (err) {
+        err.should.be.an.instanceof(DecodeError)
+        return err
+      }
+      throw new Error('Expected a DecodeError')
+    }
+
+    it('should name the array element of a truncated field', () => {
+      const transaction = new Transaction({
+        block: 1,
+        transfers: [0, 1, 2].map((i) => Object.assign({}, decodedTransfer, { start: i * 10, end: i * 10 + 5 }))
+      })
+      const err = getDecodeError(() => new Transaction(transaction.encoded.slice(0, -4)))
+
+      err.path.should.equal('transfers[2].end')
+      err.offset.should.equal(197)
+      err.message.should.equal('Could not decode transfers[2].end at byte 197: input ends 2 bytes early')
+    })
+
+    it('should name nested fields of a truncated signed transaction', () => {
+      const err = getDecodeError(() => new SignedTransaction(encodedSignedTransaction.slice(0, -2)))
+
+      err.path.should.equal('signatures[0].s')
+      err.offset.should.equal(107)
+    })
+
+    it('should name an array whose length is missing', () => {
+      const err = getDecodeError(() => new Transaction('00000001'))
+
+      err.path.should.equal('transfers')
+      err.offset.should.equal(4)
+    })
+
+    it('should reject trailing data', () => {
+      const err = getDecodeError(() => new Transfer(encodedTransfer + '0000'))
+
+      err.path.should.equal('')
+      err.offset.should.equal(68)
+      err.reason.should.equal('2 bytes of trailing data')
+    })
+
+    it('should reject invalid hex', () => {
+      getDecodeError(() => new Signature(encodedSignature.slice(0, 10) + 'zz' + encodedSignature.slice(12))).offset.should.equal(5)
+      getDecodeError(() => new Signature(encodedSignature + '0')).reason.should.equal('odd number of hex characters')
+    })
+
+    it('should name fields that fail validation', () => {
+      // Changes the case of one character, which breaks the address checksum.
+      const err = getDecodeError(() => new Transfer('43AaDF3d' + encodedTransfer.slice(8)))
+
+      err.path.should.equal('sender')
+      err.offset.should.equal(0)
+      err.reason.should.equal('Address must be a valid Ethereum address')
+    })
+
+    it('should decode Buffers strictly', () => {
+      const buffer = Buffer.from(encodedTransfer, 'hex')
+      const truncated = getDecodeError(() => Transfer.fromBuffer(buffer.slice(0, 60)))
+      const trailing = getDecodeError(() => Transfer.fromBuffer(Buffer.concat([buffer, Buffer.alloc(1)])))
+
+      truncated.path.should.equal('end')
+      truncated.offset.should.equal(56)
+      truncated.reason.should.equal('input ends 8 bytes early')
+      trailing.offset.should.equal(68)
+    })
+
+    it('should ignore trailing data when not in strict mode', () => {
+      const decoded = serialization.schemas.TransferSchema.decode(encodedTransfer + '0000')
+
+      decoded.end.toNumber().should.equal(3)
+      should.Throw(() => {
+        serialization.schemas.TransferSchema.decode(encodedTransfer + '0000', { strict: true })
+      }, DecodeError)
+    })
+  })
+  describe('Validation', () => {
+    const TransactionSchema = serialization.schemas.TransactionSchema
+    const invalidTransaction = {
+      block: new BigNum(1),
+      transfers: [
+        { ...decodedTransfer, sender: '0x1234' },
+        { ...decodedTransfer, start: new BigNum(2).pow(new BigNum(96)) }
+      ]
+    }
+
+    it('should list every violation with its field path', () => {
+      TransactionSchema.errors(invalidTransaction).should.deep.equal([
+        {
+          path: 'transfers[0].sender',
+          validator: 'required',
+          value: '0x1234',
+          message: 'Address must be a valid Ethereum address'
+        },
+        {
+          path: 'transfers[1].start',
+          validator: 'length',
+          value: invalidTransaction.transfers[1].start,
+          message: 'Number is too large'
+        }
+      ])
+    })
+
+    it('should throw a single error with every violation', () => {
+      try {
+        TransactionSchema.validate(invalidTransaction)
+      } catch (err) {
+        err.should.be.an.instanceof(ValidationError)
+        err.violations.length.should.equal(2)
+        err.message.should.equal('transfers[0].sender: Address must be a valid Ethereum address; transfers[1].start: Number is too large')
+        return
+      }
+      throw new Error('Expected a ValidationError')
+    })
+
+    it('should check whether an object is valid without throwing', () => {
+      TransactionSchema.isValid(invalidTransaction).should.be.false
+      TransactionSchema.isValid(decodedTransaction).should.be.true
+      TransactionSchema.errors(decodedTransaction).should.deep.equal([])
+    })
+
+    it('should report missing arrays and objects', () => {
+      TransactionSchema.errors({ block: new BigNum(1) }).map((violation) => violation.path).should.deep.equal(['transfers'])
+      TransactionSchema.errors({ block: new BigNum(1), transfers: [null] })[0].message.should.equal('Value must be an object')
+    })
+
+    it('should check form input before it is cast', () => {
+      const TransferSchema = serialization.schemas.TransferSchema
+      const input = { ...decodedTransfer, token: 0, start: '10', end: 20 }
+
+      TransferSchema.errors(input).should.deep.equal([])
+      input.start.should.equal('10')
+      TransferSchema.errors({ ...input, end: 2 ** 100 }).map((violation) => violation.path).should.deep.equal(['end'])
+    })
+
+    it('should only report a missing value as required', () => {
+      const violations = serialization.schemas.TransferSchema.errors({ ...decodedTransfer, token: undefined })
+
+      violations.map((violation) => violation.validator).should.deep.equal(['required'])
+    })
+
+    it('should report values that can\'t be cast as the wrong type', () => {
+      const violations = serialization.schemas.SignatureSchema.errors({ ...decodedSignature, v: 5 })
+
+      violations.length.should.equal(1)
+      violations[0].path.should.equal('v')
+      violations[0].validator.should.equal('type')
+    })
+
+    it('should report values that can\'t be cast when creating a model', () => {
+      const getViolations = (args) => {
+        try {
+          new Transaction(args)
+        } catch (err) {
+          err.should.be.an.instanceof(ValidationError)
+          return err.violations
+        }
+        throw new Error('Expected a ValidationError')
+      }
+
+      const missing = getViolations({ block: 0 })
+      missing.length.should.equal(1)
+      missing[0].path.should.equal('transfers')
+      missing[0].validator.should.equal('type')
+
+      const invalid = getViolations({ block: 0, transfers: [{ ...decodedTransfer, start: 'zz' }] })
+      invalid.length.should.equal(1)
+      invalid[0].path.should.equal('transfers[0].start')
+      invalid[0].validator.should.equal('type')
+      invalid[0].value.should.equal('zz')
+    })
+
+    it('should throw a ValidationError when creating an invalid model', () => {
+      should.Throw(() => {
+        new Transfer({ ...decodedTransfer, recipient: '0x1234' })
+      }, ValidationError, 'recipient: Address must be a valid Ethereum address')
+    })
+  })
+  describe('Length Prefixes', () => {
+    const ListSchema = new Schema({
+      short: {
+        type: [Bytes],
+        length: 1
+      },
+      long: {
+        type: [Bytes],
+        length: 1,
+        lengthPrefix: 2,
+        minItems: 1,
+        maxItems: 300
+      }
+    })
+    const items = (n) => Array.from({ length: n }, (_, i) => Buffer.from([i % 256]))
+
+    it('should encode arrays with the length prefix of their field', () => {
+      const list = { short: items(2), long: items(256) }
+      const encoded = ListSchema.encode(list)
+
+      encoded.slice(0, 6).should.equal('02' + '0001')
+      encoded.slice(6, 10).should.equal('0100')
+      ListSchema.encodeBuffer(list).toString('hex').should.equal(encoded)
+      ListSchema.decode(encoded, { strict: true }).long.should.deep.equal(list.long)
+      ListSchema.decodeBuffer(Buffer.from(encoded, 'hex'), { strict: true }).long.should.deep.equal(list.long)
+    })
+
+    it('should throw when an array is too long for its length prefix', () => {
+      const list = { short: items(256), long: items(1) }
+
+      should.Throw(() => {
+        ListSchema.encode(list)
+      }, ValidationError, 'short: Array has 256 items, but its 1 byte length prefix only fits 255')
+      should.Throw(() => {
+        ListSchema.encodeBuffer(list)
+      }, ValidationError)
+      ListSchema.errors(list).map((violation) => violation.validator).should.deep.equal(['lengthPrefix'])
+    })
+
+    it('should check the number of items', () => {
+      ListSchema.errors({ short: [], long: [] }).map((violation) => violation.validator).should.deep.equal(['minItems'])
+      ListSchema.errors({ short: [], long: items(301) }).map((violation) => violation.validator).should.deep.equal(['maxItems'])
+      ListSchema.isValid({ short: [], long: items(300) }).should.be.true
+    })
+
+    it('should stop decoding items at the end of the input', () => {
+      const BlockSchema = serialization.schemas.BlockSchema
+
+      BlockSchema.decode('00000000' + '00ffffff').transactions.should.deep.equal([])
+      should.Throw(() => {
+        BlockSchema.decode('00000000' + '00ffffff', { strict: true })
+      }, DecodeError, 'Could not decode transactions[0].block at byte 8: input ends 4 bytes early')
+    })
+
+    it('should reject too many items before decoding them', () => {
+      should.Throw(() => {
+        ListSchema.decode('00' + 'ffff', { strict: true })
+      }, DecodeError, 'Could not decode long at byte 1: 65535 items is more than the maximum of 300')
+    })
+
+    it('should not create a model with too many items for its length prefix', () => {
+      should.Throw(() => {
+        new Transaction({ block: 1, transfers: Array.from({ length: 256 }, () => ({ ...decodedTransfer })) })
+      }, ValidationError, 'transfers: Array has 256 items')
+    })
+  })
 })
@@ -0,0 +1,71 @@
+const chai = require('chai')
+
+const MerkleSumTree = require('../../src/sum-tree/sum-tree')
+const PlasmaMerkleSumTree = require('../../src/sum-tree/plasma-sum-tree')
+const inspector = require('../../src/sum-tree/inspector')
+const utils = require('../../src/utils')
+
+const should = chai.should()
+
+describe('Inspector', () => {
+  const txs = utils.getSequentialTxs(3)
+  const tree = new PlasmaMerkleSumTree(txs)
+
+  describe('inspect', () => {
+    it('should describe every level of a tree', () => {
+      const inspection = inspector.inspect(tree)
+
+      inspection.root.should.deep.equal({ hash: tree.root().hash, sum: '0x' + tree.root().sum.toString(16) })
+      inspection.levels.map((level) => level.length).should.deep.equal([3, 2, 1])
+      inspection.levels[0][1].should.deep.equal({ index: 1, hash: tree.levels[0][1].hash, sum: '0xa' })
+    })
+
+    it('should describe which transfer each leaf came from', () => {
+      const leaf = inspector.inspect(tree).leaves[1]
+
+      leaf.transactionIndex.should.equal(1)
+      leaf.transferIndex.should.equal(0)
+      leaf.transfer.start.should.equal('10')
+      leaf.transfer.end.should.equal('20')
+      leaf.impliedRange.should.deep.equal({ start: '0xa', end: '0x14' })
+    })
+
+    it('should be serializable as JSON', () => {
+      const inspection = inspector.inspect(tree)
+
+      JSON.parse(JSON.stringify(inspection)).should.deep.equal(inspection)
+    })
+
+    it('should inspect base and empty trees', () => {
+      const baseTree = new MerkleSumTree([{ data: 'Hello', sum: 1 }, { data: 'World', sum: 2 }])
+
+      should.not.exist(inspector.inspect(baseTree).leaves)
+      inspector.inspect(baseTree).root.sum.should.equal('0x3')
+      should.not.exist(inspector.inspect(new MerkleSumTree()).root)
+    })
+  })
+
+  describe('toDot', () => {
+    const dot = inspector.toDot(tree)
+
+    it('should render a node for every node in the tree', () => {
+      dot.should.match(/^digraph MerkleSumTree \{\n/)
+      dot.should.contain('n2_0 [label="' + tree.root().hash.slice(0, 8))
+      dot.should.contain('n0_2 [label="' + tree.levels[0][2].hash.slice(0, 8))
+    })
+
+    it('should connect each node to its children', () => {
+      dot.should.contain('n2_0 -> n1_0;')
+      dot.should.contain('n2_0 -> n1_1;')
+      dot.should.contain('n1_1 -> n0_3;')
+    })
+
+    it('should render padding nodes as empty', () => {
+      dot.should.contain('n0_3 [label="00000000\\nsum: 0x0", style=dashed];')
+    })
+
+    it('should label leaves with their transfers and implied ranges', () => {
+      dot.should.contain('tx 1, transfer 0\\n[0xa, 0x14)')
+    })
+  })
+})
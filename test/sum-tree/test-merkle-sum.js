@@ -1,3 +1,4 @@
+const crypto = require('crypto')
 const chai = require('chai')
 const BN = require('web3').utils.BN
 
@@ -60,4 +61,196 @@ describe('MerkleSumTree', () => {
     root.data.should.equal('b6e37356622cb2200b5086a628339f78a2de407223c5b4cb1c69c850dbeff1ae' + '00000000000000000000000000000006')
     root.sum.should.deep.equal(new BN(6))
   })
+
+  it('should hash Buffers the same way as hex strings', () => {
+    const hex = '0x48656c6c6f'
+
+    MerkleSumTree.hash(Buffer.from(hex.slice(2), 'hex')).should.equal(MerkleSumTree.hash(hex))
+  })
+
+  it('should regenerate a tree after leaves are added', () => {
+    const leaves = [
+      {
+        data: 'Hello',
+        sum: 1
+      },
+      {
+        data: 'World',
+        sum: 2
+      },
+      {
+        data: 'Works',
+        sum: 3
+      }
+    ]
+    const tree = new MerkleSumTree(leaves.slice(0, 1))
+    tree.levels[0].push(...tree.parseLeaves(leaves.slice(1)))
+    tree.regenerate(1)
+
+    tree.root().data.should.equal(new MerkleSumTree(leaves).root().data)
+    tree.levels.length.should.equal(3)
+  })
+  describe('Inclusion Proofs', () => {
+    const leaves = [0, 1, 2, 3, 4].map((i) => {
+      return {
+        data: 'Deposit ' + i,
+        sum: i + 1
+      }
+    })
+    const tree = new MerkleSumTree(leaves)
+    const root = tree.root().data
+
+    it('should verify a proof for every leaf', () => {
+      leaves.forEach((leaf, leafIndex) => {
+        const inclusionProof = tree.getInclusionProof(leafIndex)
+
+        inclusionProof.length.should.equal(3)
+        MerkleSumTree.checkInclusionProof(leaf, leafIndex, inclusionProof, root).should.be.true
+      })
+    })
+
+    it('should verify a proof for a single-leaf tree', () => {
+      const singleTree = new MerkleSumTree(leaves.slice(0, 1))
+
+      singleTree.getInclusionProof(0).should.deep.equal([])
+      MerkleSumTree.checkInclusionProof(leaves[0], 0, [], singleTree.root().data).should.be.true
+    })
+
+    it('should not verify a proof for a leaf with a different sum', () => {
+      const leaf = { data: leaves[2].data, sum: 4 }
+
+      MerkleSumTree.checkInclusionProof(leaf, 2, tree.getInclusionProof(2), root).should.be.false
+    })
+
+    it('should not verify a proof at the wrong index', () => {
+      MerkleSumTree.checkInclusionProof(leaves[2], 3, tree.getInclusionProof(2), root).should.be.false
+      MerkleSumTree.checkInclusionProof(leaves[2], 8, tree.getInclusionProof(2), root).should.be.false
+    })
+
+    it('should not verify a proof with a modified sibling', () => {
+      const inclusionProof = tree.getInclusionProof(2)
+      inclusionProof[1] = inclusionProof[1].slice(0, -1) + '0'
+
+      MerkleSumTree.checkInclusionProof(leaves[2], 2, inclusionProof, root).should.be.false
+    })
+
+    it('should throw for an invalid leaf index', () => {
+      (() => tree.getInclusionProof(5)).should.throw('Invalid leaf index')
+    })
+  })
+
+  describe('Verification', () => {
+    const leaves = [0, 1, 2, 3, 4].map((i) => {
+      return {
+        data: 'Deposit ' + i,
+        sum: i + 1
+      }
+    })
+
+    it('should verify a tree that was built correctly', () => {
+      const tree = new MerkleSumTree(leaves)
+
+      tree.verify().should.deep.equal({ valid: true, problems: [] })
+      new MerkleSumTree().verify().valid.should.be.true
+    })
+
+    it('should flag a node that does not match its children', () => {
+      const tree = new MerkleSumTree(leaves)
+      tree.levels[1][1] = tree.levels[1][0]
+      const problems = tree.verify().problems
+
+      problems[0].should.deep.equal({
+        reason: 'node-mismatch',
+        message: 'node 1 at level 1 does not match its children',
+        level: 1,
+        index: 1
+      })
+    })
+
+    it('should flag sums that do not fit in a node', () => {
+      const half = new BN(1).shln(127)
+      const tree = new MerkleSumTree([{ data: 'Hello', sum: half }, { data: 'World', sum: half }])
+      const problems = tree.verify().problems
+
+      problems.length.should.equal(1)
+      problems[0].reason.should.equal('sum-overflow')
+      problems[0].level.should.equal(1)
+      new MerkleSumTree([{ data: 'Hello', sum: half }, { data: 'World', sum: half }], { sumByteSize: 32 }).verify().valid.should.be.true
+    })
+
+    it('should flag levels with the wrong number of nodes', () => {
+      const tree = new MerkleSumTree(leaves)
+      tree.levels[1].pop()
+
+      tree.verify().problems[0].reason.should.equal('wrong-level-size')
+    })
+  })
+
+  describe('Options', () => {
+    const sha256 = (data) => crypto.createHash('sha256').update(data).digest()
+    const leaves = [
+      {
+        data: 'Hello',
+        sum: 1
+      },
+      {
+        data: 'World',
+        sum: 2
+      },
+      {
+        data: 'Works',
+        sum: 3
+      }
+    ]
+
+    it('should build a tree with a custom hash function', () => {
+      const tree = new MerkleSumTree(leaves, { hash: sha256 })
+      const nodes = leaves.map((leaf) => {
+        return Buffer.concat([sha256(Buffer.from(leaf.data)), new BN(leaf.sum).toArrayLike(Buffer, 'be', 16)])
+      })
+      const empty = Buffer.alloc(48)
+      const left = Buffer.concat([sha256(Buffer.concat([nodes[0], nodes[1]])), new BN(3).toArrayLike(Buffer, 'be', 16)])
+      const right = Buffer.concat([sha256(Buffer.concat([nodes[2], empty])), new BN(3).toArrayLike(Buffer, 'be', 16)])
+      const root = sha256(Buffer.concat([left, right])).toString('hex') + new BN(6).toString(16, 32)
+
+      tree.root().data.should.equal(root)
+    })
+
+    it('should hash hex strings as bytes with a custom hash function', () => {
+      const tree = new MerkleSumTree([], { hash: sha256 })
+
+      tree.hash('0x48656c6c6f').should.equal('0x' + sha256(Buffer.from('Hello')).toString('hex'))
+      tree.hash('Hello').should.equal(tree.hash('0x48656c6c6f'))
+    })
+
+    it('should support hashes of other sizes', () => {
+      const shortHash = (data) => sha256(data).slice(0, 20)
+      const tree = new MerkleSumTree(leaves, { hash: shortHash })
+
+      tree.root().data.length.should.equal((20 + 16) * 2)
+      tree.emptyLeaf().data.should.equal('00'.repeat(36))
+    })
+
+    it('should store sums with a custom width', () => {
+      const tree = new MerkleSumTree(leaves, { sumByteSize: 32 })
+
+      tree.root().data.length.should.equal((32 + 32) * 2)
+      tree.root().data.slice(64).should.equal(new BN(6).toString(16, 64))
+      tree.root().sum.should.deep.equal(new BN(6))
+    })
+
+    it('should verify proofs with the options the tree was built with', () => {
+      const options = { hash: sha256, sumByteSize: 8 }
+      const tree = new MerkleSumTree(leaves, options)
+      const inclusionProof = tree.getInclusionProof(2)
+
+      MerkleSumTree.checkInclusionProof(leaves[2], 2, inclusionProof, tree.root().data, options).should.be.true
+      MerkleSumTree.checkInclusionProof(leaves[2], 2, inclusionProof, tree.root().data).should.be.false
+    })
+
+    it('should keep the default hash and sum width', () => {
+      new MerkleSumTree(leaves, {}).root().data.should.equal(new MerkleSumTree(leaves).root().data)
+      new MerkleSumTree(leaves, { sumByteSize: 16 }).root().data.should.equal(new MerkleSumTree(leaves).root().data)
+    })
+  })
 })
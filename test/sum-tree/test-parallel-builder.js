@@ -0,0 +1,96 @@
+const chai = require('chai')
+const Web3 = require('web3')
+const BigNum = require('bn.js')
+
+const PlasmaMerkleSumTree = require('../../src/sum-tree/plasma-sum-tree')
+const ParallelTreeBuilder = require('../../src/sum-tree/parallel-builder')
+const InvalidBlockError = require('../../src/sum-tree/errors').InvalidBlockError
+const Transaction = require('../../src/serialization').models.Transaction
+const utils = require('../../src/utils')
+
+const should = chai.should()
+const web3 = new Web3()
+
+describe('ParallelTreeBuilder', () => {
+  const owner = web3.eth.accounts.create()
+  const txs = utils.getSequentialTxs(37, owner.address).map((tx) => {
+    return tx.sign(owner.privateKey)
+  })
+  const builder = new ParallelTreeBuilder({ numWorkers: 2, chunkSize: 4 })
+
+  it('should build the same tree as the constructor', async () => {
+    const tree = await builder.build(txs)
+    const expected = new PlasmaMerkleSumTree(txs)
+
+    tree.should.be.an.instanceof(PlasmaMerkleSumTree)
+    tree.root().data.should.equal(expected.root().data)
+    tree.levels.map((level) => level.map((node) => node.data)).should.deep.equal(expected.levels.map((level) => level.map((node) => node.data)))
+  })
+
+  it('should keep sums that overflow the node encoding, like the constructor', async () => {
+    // Leaf sums this large can't come from a valid block, so they're stubbed in.
+    const getLeafSum = PlasmaMerkleSumTree.prototype._getLeafSum
+    PlasmaMerkleSumTree.prototype._getLeafSum = () => new BigNum(1).shln(127)
+    let tree, expected
+    try {
+      tree = await builder.build(txs.slice(0, 4))
+      expected = new PlasmaMerkleSumTree(txs.slice(0, 4))
+    } finally {
+      PlasmaMerkleSumTree.prototype._getLeafSum = getLeafSum
+    }
+
+    tree.root().sum.toString(16).should.equal(expected.root().sum.toString(16))
+    tree.verify().problems.map((problem) => problem.reason).should.include('sum-overflow')
+  })
+
+  it('should build trees that serve proofs', async () => {
+    const multiTx = new Transaction({
+      block: 0,
+      transfers: [
+        { sender: owner.address, recipient: owner.address, token: 1, start: 10, end: 20 },
+        { sender: owner.address, recipient: owner.address, token: 0, start: 1000, end: 1010 }
+      ]
+    }).sign(owner.privateKey)
+    const tree = await builder.build(txs.concat([multiTx]))
+    const transactionProof = tree.getTransactionProof(multiTx)
+
+    tree.root().data.should.equal(new PlasmaMerkleSumTree(txs.concat([multiTx])).root().data)
+    PlasmaMerkleSumTree.checkTransactionProof(multiTx, transactionProof, tree.root().data).should.be.true
+  })
+
+  it('should build single-leaf and empty trees', async () => {
+    const singleTree = await builder.build(txs.slice(0, 1))
+    const emptyTree = await builder.build([], 2)
+
+    singleTree.root().data.should.equal(new PlasmaMerkleSumTree(txs.slice(0, 1)).root().data)
+    should.not.exist(emptyTree.root())
+    emptyTree.block.toNumber().should.equal(2)
+  })
+
+  it('should report progress until every node is built', async () => {
+    const progressBuilder = new ParallelTreeBuilder({ numWorkers: 2, chunkSize: 8 })
+    let events = []
+    progressBuilder.on('progress', (progress) => events.push(progress))
+    await progressBuilder.build(txs)
+
+    // 37 leaves, then levels of 19, 10, 5, 3, 2 and 1 nodes.
+    const total = 37 + 19 + 10 + 5 + 3 + 2 + 1
+    events.forEach((event) => event.total.should.equal(total))
+    events[0].stage.should.equal('leaves')
+    events[events.length - 1].should.deep.equal({ stage: 'levels', completed: total, total: total })
+    events.map((event) => event.completed).should.deep.equal(events.map((event) => event.completed).sort((a, b) => a - b))
+  })
+
+  it('should reject an invalid block', async () => {
+    const overlapping = utils.getSequentialTxs(2, owner.address).concat(utils.getSequentialTxs(1, owner.address))
+    let error
+    try {
+      await builder.build(overlapping)
+    } catch (err) {
+      error = err
+    }
+
+    error.should.be.an.instanceof(InvalidBlockError)
+    error.violations[0].reason.should.equal('overlap')
+  })
+})
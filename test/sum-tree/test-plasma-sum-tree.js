@@ -1,10 +1,34 @@
 const chai = require('chai')
+const Web3 = require('web3')
+const BigNum = require('bn.js')
 
 const PlasmaMerkleSumTree = require('../../src/sum-tree/plasma-sum-tree')
-const Transaction = require('../../src/serialization').models.Transaction
+const MerkleTreeNode = require('../../src/sum-tree/merkle-tree-node')
+const models = require('../../src/serialization').models
+const Transaction = models.Transaction
+const SignedTransaction = models.SignedTransaction
+const Signature = models.Signature
+const TransactionProof = models.TransactionProof
+const NonInclusionProof = models.NonInclusionProof
+const MultiProof = models.MultiProof
 const utils = require('../../src/utils')
+const constants = require('../../src/constants')
+const errors = require('../../src/sum-tree/errors')
+const InvalidBlockError = errors.InvalidBlockError
+const TreeIntegrityError = errors.TreeIntegrityError
 
 const should = chai.should()
+const web3 = new Web3()
+
+/**
+ * Signs a transaction hash the same way a transfer sender would.
+ * @param {String} hash Hash to sign.
+ * @param {String} privateKey Private key to sign with.
+ * @return {*} A decoded Signature object.
+ */
+const signHash = (hash, privateKey) => {
+  return Signature.sign(hash, privateKey).decoded
+}
 
 const accounts = [
   '0x43aaDF3d5b44290385fe4193A1b13f15eF3A4FD5',
@@ -72,17 +96,156 @@ describe('PlasmaMerkleSumTree', () => {
     it('should generate an odd tree w/ multiple types correctly', () => {
       const tree = new PlasmaMerkleSumTree([tx1, tx2, tx3])
 
-      tree.root().data.should.equal('946535b614d2542d539f38349aeac9d0347246efed789880c33dfb62103cc7e7' + 'ffffffffffffffffffffffffffffffff')
+      tree.root().data.should.equal('aa424a2e56b315ee500eaa90ca12116667d863c9d6548ab00319d2519289d5eb' + 'ffffffffffffffffffffffffffffffff')
+    })
+  })
+
+  describe('Block Validation', () => {
+    const getTx = (start, end, block = 0) => {
+      return new Transaction({
+        block: block,
+        transfers: [
+          {
+            sender: accounts[0],
+            recipient: accounts[1],
+            token: 0,
+            start: start,
+            end: end
+          }
+        ]
+      })
+    }
+    const getViolations = (fn) => {
+      try {
+        fn()
+      } catch (err) {
+        err.should.be.an.instanceof(InvalidBlockError)
+        return err.violations
+      }
+      throw new Error('Expected an InvalidBlockError')
+    }
+
+    it('should reject overlapping transfers', () => {
+      const first = getTx(0, 100)
+      const second = getTx(150, 200)
+      const third = getTx(50, 60)
+      const violations = getViolations(() => new PlasmaMerkleSumTree([first, second, third]))
+
+      violations.length.should.equal(1)
+      violations[0].reason.should.equal('overlap')
+      violations[0].transactions.should.deep.equal([first, third])
+      violations[0].message.should.include(third.hash)
+    })
+
+    it('should reject transfers that overlap a transfer further back', () => {
+      const violations = getViolations(() => new PlasmaMerkleSumTree([getTx(0, 100), getTx(10, 20), getTx(30, 40)]))
+
+      violations.map((violation) => violation.reason).should.deep.equal(['overlap', 'overlap'])
+    })
+
+    it('should reject transfers where start is not before end', () => {
+      const violations = getViolations(() => new PlasmaMerkleSumTree([getTx(0, 10), getTx(20, 20)]))
+
+      violations.length.should.equal(1)
+      violations[0].reason.should.equal('empty-range')
+      violations[0].transferIndices.should.deep.equal([0])
+    })
+
+    it('should reject transfers past the maximum coin ID', () => {
+      const tx = getTx(20, 30)
+      tx.transfers[0].args.end = constants.MAX_COIN_ID.addn(1)
+      const violations = getViolations(() => new PlasmaMerkleSumTree([getTx(0, 10), tx]))
+
+      violations[0].reason.should.equal('out-of-bounds')
+    })
+
+    it('should reject transactions from a different block', () => {
+      const violations = getViolations(() => new PlasmaMerkleSumTree([getTx(0, 10), getTx(20, 30, 1)]))
+      violations[0].reason.should.equal('wrong-block')
+
+      const explicit = getViolations(() => new PlasmaMerkleSumTree([getTx(0, 10, 1)], 2))
+      explicit[0].reason.should.equal('wrong-block')
+    })
+
+    it('should reject signed transactions without a signature for every transfer', () => {
+      const tx = new SignedTransaction({
+        block: 0,
+        transfers: [getTx(0, 10).transfers[0].decoded, getTx(20, 30).transfers[0].decoded],
+        signatures: [signHash(web3.utils.sha3('0x00'), web3.eth.accounts.create().privateKey)]
+      })
+      const violations = getViolations(() => new PlasmaMerkleSumTree([tx]))
+
+      violations.length.should.equal(1)
+      violations[0].reason.should.equal('signature-count')
+      violations[0].message.should.include('1 signatures for 2 transfers')
+    })
+
+    it('should sort transfers with large starts correctly', () => {
+      const big = new BigNum(2).pow(new BigNum(60))
+      const txs = [getTx(big.addn(1), big.addn(2)), getTx(big, big.addn(1))]
+      const tree = new PlasmaMerkleSumTree(txs)
+
+      tree.root().data.should.equal(new PlasmaMerkleSumTree(txs.slice().reverse()).root().data)
+      tree.getLeafIndex(big).should.equal(0)
+    })
+
+    it('should reject appending an overlapping transaction and leave the tree untouched', () => {
+      const tree = new PlasmaMerkleSumTree([getTx(0, 10), getTx(20, 30)])
+      const root = tree.root().data
+      const violations = getViolations(() => tree.append(getTx(25, 40)))
+
+      violations[0].reason.should.equal('overlap')
+      tree.root().data.should.equal(root)
+      tree.leaves.length.should.equal(2)
+    })
+
+    it('should reject appending a transaction from a different block', () => {
+      const tree = new PlasmaMerkleSumTree([], 3)
+      const violations = getViolations(() => tree.append(getTx(0, 10)))
+
+      violations[0].reason.should.equal('wrong-block')
     })
   })
 
   describe('Proof Checking', () => {
     const numDummyTransactions = 100
-    const txs = utils.getSequentialTxs(numDummyTransactions)
+    const sender = web3.eth.accounts.create()
+    const forger = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(numDummyTransactions, sender.address).map((tx) => {
+      return tx.sign(sender.privateKey)
+    })
     const tree = new PlasmaMerkleSumTree(txs)
     const index = Math.floor(Math.random() * numDummyTransactions)
     const tx = tree.leaves[index]
 
+    const getForgedTransferProof = (privateKey) => {
+      const transferProof = tree.getTransferProof(index)
+      transferProof.args.signature = signHash(tx.transactionHash, privateKey)
+      return transferProof
+    }
+    const getForgedTransactionProof = (privateKey) => {
+      const transactionProof = tree.getTransactionProof(tx)
+      transactionProof.args.transferProofs.forEach((transferProof) => {
+        transferProof.signature = signHash(tx.transactionHash, privateKey)
+      })
+      return transactionProof
+    }
+
+    it('should include the sender\'s signature in each TransferProof', () => {
+      const transferProof = tree.getTransferProof(index)
+
+      transferProof.args.signature.should.deep.equal(tx.signatures[0].decoded)
+    })
+
+    it('should verify a TransferProof for every leaf', () => {
+      const smallTree = new PlasmaMerkleSumTree(txs.slice(0, 13))
+
+      smallTree.leaves.forEach((leaf, leafIndex) => {
+        const transferProof = smallTree.getTransferProof(leafIndex)
+        PlasmaMerkleSumTree.checkTransferProof(leaf, 0, transferProof, smallTree.root().data).should.be.true
+      })
+    })
+
     it('should verify a random TransferProof', () => {
       const transferProof = tree.getTransferProof(index)
       const trIndex = 0
@@ -91,6 +254,23 @@ describe('PlasmaMerkleSumTree', () => {
       isValid.should.be.true
     })
 
+    it('should not verify a TransferProof signed by someone other than the sender', () => {
+      const transferProof = getForgedTransferProof(forger.privateKey)
+      const trIndex = 0
+
+      const isValid = PlasmaMerkleSumTree.checkTransferProof(tx, trIndex, transferProof, tree.root().data)
+      isValid.should.be.false
+    })
+
+    it('should not verify a TransferProof with a malformed signature', () => {
+      const transferProof = tree.getTransferProof(index)
+      transferProof.args.signature.r = Buffer.alloc(32)
+      const trIndex = 0
+
+      const isValid = PlasmaMerkleSumTree.checkTransferProof(tx, trIndex, transferProof, tree.root().data)
+      isValid.should.be.false
+    })
+
     it('should should not verify a TransferProof with an invalid index', () => {
       const transferProof = tree.getTransferProof(index)
       transferProof.args.leafIndex += 1
@@ -107,6 +287,50 @@ describe('PlasmaMerkleSumTree', () => {
       const isValid = PlasmaMerkleSumTree.checkTransactionProof(tx, transactionProof, tree.root().data)
       isValid.should.be.true
     })
+    it('should not verify a TransactionProof with a forged signature', () => {
+      const transactionProof = getForgedTransactionProof(forger.privateKey)
+
+      const isValid = PlasmaMerkleSumTree.checkTransactionProof(tx, transactionProof, tree.root().data)
+      isValid.should.be.false
+    })
+
+    it('should verify a TransactionProof after an encoding round trip', () => {
+      const encoded = tree.getTransactionProof(tx).encoded
+      const transactionProof = new TransactionProof(encoded)
+
+      const isValid = PlasmaMerkleSumTree.checkTransactionProof(tx, transactionProof, tree.root().data)
+      isValid.should.be.true
+    })
+
+    it('should verify a TransactionProof for a transaction with several senders', () => {
+      const alice = web3.eth.accounts.create()
+      const bob = web3.eth.accounts.create()
+      const multiTx = new Transaction({
+        block: 0,
+        transfers: [
+          { sender: bob.address, recipient: alice.address, token: 0, start: 1045, end: 1050 },
+          { sender: alice.address, recipient: bob.address, token: 0, start: 1005, end: 1010 }
+        ]
+      }).sign([alice.privateKey, bob.privateKey])
+      const multiTree = new PlasmaMerkleSumTree(txs.concat([multiTx]))
+      const transactionProof = multiTree.getTransactionProof(multiTx)
+
+      transactionProof.args.transferProofs.length.should.equal(2)
+      transactionProof.args.transferProofs[0].signature.should.deep.equal(multiTx.signatures[0].decoded)
+      transactionProof.args.transferProofs[1].signature.should.deep.equal(multiTx.signatures[1].decoded)
+      const isValid = PlasmaMerkleSumTree.checkTransactionProof(multiTx, transactionProof, multiTree.root().data)
+      isValid.should.be.true
+    })
+
+    it('should not verify a TransferProof for an unsigned transaction', () => {
+      const unsignedTxs = utils.getSequentialTxs(4, sender.address)
+      const unsignedTree = new PlasmaMerkleSumTree(unsignedTxs)
+      const transferProof = unsignedTree.getTransferProof(1)
+
+      const isValid = PlasmaMerkleSumTree.checkTransferProof(unsignedTxs[1], 0, transferProof, unsignedTree.root().data)
+      isValid.should.be.false
+    })
+
     it('should should not verify a TransactionProof with an invalid index', () => {
       const transactionProof = tree.getTransactionProof(tx)
       transactionProof.args.transferProofs[0].leafIndex += 1
@@ -115,4 +339,696 @@ describe('PlasmaMerkleSumTree', () => {
       isValid.should.be.false
     })
   })
+
+  describe('Proof Verification Results', () => {
+    const sender = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(16, sender.address).map((tx) => {
+      return tx.sign(sender.privateKey)
+    })
+    const tree = new PlasmaMerkleSumTree(txs)
+    const root = tree.root().data
+
+    it('should return the computed root and implied range of a valid TransferProof', () => {
+      const result = PlasmaMerkleSumTree.verifyTransferProof(txs[5], 0, tree.getTransferProof(5), root)
+
+      result.valid.should.be.true
+      should.not.exist(result.reason)
+      result.root.should.equal(root)
+      result.leafStart.toString().should.equal(tree.getImpliedRange(5).start.toString())
+      result.leafEnd.toString().should.equal(tree.getImpliedRange(5).end.toString())
+    })
+
+    it('should report a bad signature', () => {
+      const transferProof = tree.getTransferProof(5)
+      transferProof.args.signature = signHash(txs[5].transactionHash, web3.eth.accounts.create().privateKey)
+      const result = PlasmaMerkleSumTree.verifyTransferProof(txs[5], 0, transferProof, root)
+
+      result.valid.should.be.false
+      result.reason.should.equal('invalid-signature')
+      result.level.should.equal(0)
+    })
+
+    it('should report a root mismatch along with the computed root', () => {
+      const transferProof = tree.getTransferProof(5)
+      transferProof.args.parsedSum = transferProof.args.parsedSum.addn(1)
+      const result = PlasmaMerkleSumTree.verifyTransferProof(txs[5], 0, transferProof, root)
+
+      result.reason.should.equal('root-mismatch')
+      result.level.should.equal(4)
+      result.root.should.not.equal(root)
+    })
+
+    it('should accept encoded signed and unsigned transactions', () => {
+      const unsigned = new Transaction(txs[5].transactionEncoded)
+
+      PlasmaMerkleSumTree.verifyTransferProof(txs[5].encoded, 0, tree.getTransferProof(5), root).valid.should.be.true
+      PlasmaMerkleSumTree.verifyTransferProof(unsigned.encoded, 0, tree.getTransferProof(5), root).valid.should.be.true
+      PlasmaMerkleSumTree.verifyTransactionProof(txs[5].encoded, tree.getTransactionProof(txs[5]), root).valid.should.be.true
+    })
+
+    it('should report a transaction that can\'t be decoded', () => {
+      const transferResult = PlasmaMerkleSumTree.verifyTransferProof('00', 0, tree.getTransferProof(5), root)
+      const transactionResult = PlasmaMerkleSumTree.verifyTransactionProof(txs[5].encoded + '00', tree.getTransactionProof(txs[5]), root)
+
+      transferResult.valid.should.be.false
+      transferResult.reason.should.equal('invalid-encoding')
+      transactionResult.valid.should.be.false
+      transactionResult.reason.should.equal('invalid-encoding')
+    })
+
+    it('should report a transfer index the transaction doesn\'t have', () => {
+      const result = PlasmaMerkleSumTree.verifyTransferProof(txs[5], 1, tree.getTransferProof(5), root)
+
+      result.valid.should.be.false
+      result.reason.should.equal('invalid-transfer-index')
+      PlasmaMerkleSumTree.checkTransferProof(txs[5], -1, tree.getTransferProof(5), root).should.be.false
+    })
+
+    it('should report a proof with too few sibling nodes', () => {
+      const transferProof = tree.getTransferProof(13)
+      transferProof.args.inclusionProof.pop()
+      const result = PlasmaMerkleSumTree.verifyTransferProof(txs[13], 0, transferProof, root)
+
+      result.reason.should.equal('invalid-proof-length')
+      result.level.should.equal(3)
+    })
+
+    it('should report a transfer outside of the range implied by its branch', () => {
+      // An operator could shift the sums so a later leaf no longer covers its transfer.
+      const badTree = new PlasmaMerkleSumTree(txs)
+      const shifted = badTree.levels[0][4]
+      badTree.levels[0][4] = new MerkleTreeNode(shifted.hash, shifted.sum.addn(5))
+      badTree.levels[0][5] = new MerkleTreeNode(badTree.levels[0][5].hash, badTree.levels[0][5].sum.subn(5))
+      badTree.regenerate(4)
+      const result = PlasmaMerkleSumTree.verifyTransferProof(txs[5], 0, badTree.getTransferProof(5), badTree.root().data)
+
+      result.reason.should.equal('range-outside-branch')
+      result.leafStart.toString().should.equal(tree.getImpliedRange(5).start.addn(5).toString())
+      PlasmaMerkleSumTree.checkTransferProof(txs[5], 0, badTree.getTransferProof(5), badTree.root().data).should.be.false
+    })
+
+    it('should report which transfer of a TransactionProof failed', () => {
+      const alice = web3.eth.accounts.create()
+      const bob = web3.eth.accounts.create()
+      const multiTx = new Transaction({
+        block: 0,
+        transfers: [
+          { sender: bob.address, recipient: alice.address, token: 0, start: 500, end: 510 },
+          { sender: alice.address, recipient: bob.address, token: 0, start: 400, end: 410 }
+        ]
+      }).sign([alice.privateKey, bob.privateKey])
+      const multiTree = new PlasmaMerkleSumTree(txs.concat([multiTx]))
+      const transactionProof = multiTree.getTransactionProof(multiTx)
+      transactionProof.args.transferProofs[1].signature = transactionProof.args.transferProofs[0].signature
+      const result = PlasmaMerkleSumTree.verifyTransactionProof(multiTx, transactionProof, multiTree.root().data)
+
+      result.valid.should.be.false
+      result.transferIndex.should.equal(1)
+      result.reason.should.equal('invalid-signature')
+      result.transferResults[0].valid.should.be.true
+    })
+
+    it('should report a TransactionProof missing a transfer proof', () => {
+      const transactionProof = tree.getTransactionProof(txs[5])
+      transactionProof.args.transferProofs = []
+      const result = PlasmaMerkleSumTree.verifyTransactionProof(txs[5], transactionProof, root)
+
+      result.reason.should.equal('missing-transfer-proof')
+      PlasmaMerkleSumTree.checkTransactionProof(txs[5], transactionProof, root).should.be.false
+    })
+  })
+
+  describe('Transaction Lookup', () => {
+    const owner = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(12, owner.address).map((tx) => {
+      return tx.sign(owner.privateKey)
+    })
+    const tree = new PlasmaMerkleSumTree(txs)
+    const root = tree.root().data
+
+    it('should return a proof for an equal transaction decoded from its encoding', () => {
+      const decoded = new SignedTransaction(txs[4].encoded)
+      const transactionProof = tree.getTransactionProof(decoded)
+
+      transactionProof.encoded.should.equal(tree.getTransactionProof(txs[4]).encoded)
+      PlasmaMerkleSumTree.checkTransactionProof(decoded, transactionProof, root).should.be.true
+    })
+
+    it('should return a proof for the unsigned version of a transaction', () => {
+      const unsigned = new Transaction(txs[4].transactionEncoded)
+
+      tree.getTransactionProof(unsigned).encoded.should.equal(tree.getTransactionProof(txs[4]).encoded)
+    })
+
+    it('should return proofs by transaction hash', () => {
+      const hash = txs[4].transactionHash
+
+      tree.getTransactionProof(hash).encoded.should.equal(tree.getTransactionProof(txs[4]).encoded)
+      tree.getTransactionProof(hash.slice(2).toUpperCase()).encoded.should.equal(tree.getTransactionProof(txs[4]).encoded)
+      PlasmaMerkleSumTree.checkTransactionMultiProof(txs[4], tree.getTransactionMultiProof(hash), root).should.be.true
+    })
+
+    it('should find transactions appended after a lookup', () => {
+      const appendTree = new PlasmaMerkleSumTree(txs.slice(0, 6))
+      appendTree.getTransactionProof(txs[0])
+      appendTree.append(txs[8])
+
+      const transactionProof = appendTree.getTransactionProof(txs[8].transactionHash)
+      PlasmaMerkleSumTree.checkTransactionProof(txs[8], transactionProof, appendTree.root().data).should.be.true
+    })
+
+    it('should throw for a transaction that is not in the tree', () => {
+      const missing = utils.getSequentialTxs(13, owner.address)[12];
+
+      (() => tree.getTransactionProof(missing)).should.throw('Transaction ' + missing.hash + ' is not in this tree');
+      (() => tree.getTransactionMultiProof(missing.hash)).should.throw('is not in this tree')
+    })
+  })
+
+  describe('Verification', () => {
+    const txs = utils.getSequentialTxs(9)
+
+    it('should verify trees that were built or appended to correctly', () => {
+      const tree = new PlasmaMerkleSumTree(txs.slice(0, 5))
+      tree.verify().valid.should.be.true
+      tree.append(txs[7])
+      tree.verify().valid.should.be.true
+      new PlasmaMerkleSumTree([txs[0]]).verify().valid.should.be.true
+    })
+
+    it('should flag a root that does not cover every coin', () => {
+      const tree = new PlasmaMerkleSumTree(txs)
+      const last = tree.levels[0][8]
+      tree.levels[0][8] = new MerkleTreeNode(last.hash, last.sum.subn(1))
+      tree.regenerate(8)
+      const reasons = tree.verify().problems.map((problem) => problem.reason)
+
+      reasons.should.deep.equal(['wrong-leaf-sum', 'wrong-root-sum'])
+    })
+
+    it('should flag a leaf that does not match its transaction', () => {
+      const tree = new PlasmaMerkleSumTree(txs)
+      tree.levels[0][3] = new MerkleTreeNode(tree.levels[0][4].hash, tree.levels[0][3].sum)
+      const problems = tree.verify().problems
+
+      problems[0].reason.should.equal('leaf-mismatch')
+      problems[0].index.should.equal(3)
+      problems[1].reason.should.equal('node-mismatch')
+    })
+  })
+
+  describe('Persistence', () => {
+    const owner = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(20, owner.address).map((tx) => {
+      return tx.sign(owner.privateKey)
+    })
+    const tree = new PlasmaMerkleSumTree(txs)
+    const root = tree.root().data
+
+    const getIntegrityError = (buffer, expectedRoot) => {
+      try {
+        PlasmaMerkleSumTree.fromBuffer(buffer, expectedRoot)
+      } catch (err) {
+        err.should.be.an.instanceof(TreeIntegrityError)
+        return err
+      }
+      throw new Error('Tree was reloaded')
+    }
+
+    it('should reload a tree with the same levels and root', () => {
+      const reloaded = PlasmaMerkleSumTree.fromBuffer(tree.toBuffer(), root)
+
+      reloaded.should.be.an.instanceof(PlasmaMerkleSumTree)
+      reloaded.root().data.should.equal(root)
+      reloaded.block.toString().should.equal(tree.block.toString())
+      reloaded.levels.map((level) => level.map((node) => node.data)).should.deep.equal(tree.levels.map((level) => level.map((node) => node.data)))
+      reloaded.leaves.map((leaf) => leaf.encoded).should.deep.equal(txs.map((tx) => tx.encoded.toLowerCase()))
+    })
+
+    it('should serve proofs from a reloaded tree', () => {
+      const reloaded = PlasmaMerkleSumTree.fromBuffer(tree.toBuffer())
+      const transaction = reloaded.leaves[7]
+      const transactionProof = reloaded.getTransactionProof(transaction)
+
+      transactionProof.encoded.should.equal(tree.getTransactionProof(txs[7]).encoded)
+      PlasmaMerkleSumTree.checkTransactionProof(transaction, transactionProof, root).should.be.true
+    })
+
+    it('should keep appending to a reloaded tree', () => {
+      const reloaded = PlasmaMerkleSumTree.fromBuffer(tree.toBuffer())
+      const tx = utils.getSequentialTxs(21, owner.address)[20]
+      reloaded.append(tx)
+
+      reloaded.root().data.should.equal(new PlasmaMerkleSumTree(txs.concat([tx])).root().data)
+    })
+
+    it('should reload unsigned and empty trees', () => {
+      const unsignedTree = new PlasmaMerkleSumTree([tx1, tx2, tx3])
+      const emptyTree = new PlasmaMerkleSumTree([], 4)
+
+      PlasmaMerkleSumTree.fromBuffer(unsignedTree.toBuffer()).root().data.should.equal(unsignedTree.root().data)
+      PlasmaMerkleSumTree.fromBuffer(emptyTree.toBuffer()).block.toNumber().should.equal(4)
+    })
+
+    it('should reject a tree that does not match the expected root', () => {
+      const err = getIntegrityError(tree.toBuffer(), new PlasmaMerkleSumTree(txs.slice(1)).root().data)
+
+      err.message.should.contain('does not match')
+    })
+
+    it('should reject a tree with a corrupted node', () => {
+      const buffer = tree.toBuffer()
+      const nodeOffset = buffer.indexOf(tree.levels[1][3].buffer)
+      buffer[nodeOffset] ^= 1
+
+      getIntegrityError(buffer).message.should.contain('level 1')
+    })
+
+    it('should reject a tree with a corrupted transaction', () => {
+      const buffer = tree.toBuffer()
+      const encoded = Buffer.from(txs[2].encoded, 'hex')
+      // Changes the recipient of the third transaction without touching its leaf.
+      const transferOffset = buffer.indexOf(encoded) + encoded.indexOf(Buffer.from(txs[2].transfers[0].encoded, 'hex'))
+      buffer[transferOffset + 39] ^= 1
+
+      getIntegrityError(buffer).message.should.contain('leaf 2')
+    })
+
+    it('should reject a tree with a transaction that can\'t be decoded', () => {
+      const buffer = tree.toBuffer()
+      const encoded = Buffer.from(txs[2].encoded, 'hex')
+      const lengthOffset = buffer.indexOf(encoded) - 4
+      buffer.writeUInt32BE(encoded.length - 1, lengthOffset)
+
+      getIntegrityError(buffer).message.should.contain('transaction 2 could not be decoded')
+    })
+
+    it('should throw when storing a block number wider than 4 bytes', () => {
+      should.Throw(() => {
+        new PlasmaMerkleSumTree([], new BigNum(2).pow(new BigNum(33))).toBuffer()
+      }, 'Block number 8589934592 does not fit in 4 bytes')
+    })
+
+    it('should reject truncated data', () => {
+      const buffer = tree.toBuffer()
+
+      getIntegrityError(buffer.slice(0, buffer.length - 1)).message.should.contain('unexpected end of data')
+    })
+  })
+
+  describe('Incremental Building', () => {
+    const owner = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(20, owner.address).map((tx) => {
+      return tx.sign(owner.privateKey)
+    })
+    const shuffled = txs.slice().sort(() => Math.random() - 0.5)
+    const multiTx = new Transaction({
+      block: 0,
+      transfers: [
+        { sender: owner.address, recipient: accounts[1], token: 0, start: 500, end: 510 },
+        { sender: owner.address, recipient: accounts[1], token: 0, start: 205, end: 207 }
+      ]
+    }).sign(owner.privateKey)
+
+    const appendAll = (transactions) => {
+      const tree = new PlasmaMerkleSumTree()
+      transactions.forEach((transaction) => {
+        tree.append(transaction)
+      })
+      return tree
+    }
+
+    it('should match a full rebuild after a single append', () => {
+      appendAll([tx1]).root().data.should.equal(new PlasmaMerkleSumTree([tx1]).root().data)
+    })
+
+    it('should match a full rebuild when transactions arrive in order', () => {
+      const tree = appendAll(txs)
+      const rebuilt = new PlasmaMerkleSumTree(txs)
+
+      tree.root().data.should.equal(rebuilt.root().data)
+      tree.levels.length.should.equal(rebuilt.levels.length)
+    })
+
+    it('should match a full rebuild when transactions arrive out of order', () => {
+      const tree = appendAll(shuffled.concat([multiTx]))
+      const rebuilt = new PlasmaMerkleSumTree(txs.concat([multiTx]))
+
+      tree.root().data.should.equal(rebuilt.root().data)
+      tree.levels.map((level) => level.length).should.deep.equal(rebuilt.levels.map((level) => level.length))
+    })
+
+    it('should produce valid proofs after appending', () => {
+      const tree = appendAll(shuffled.concat([multiTx]))
+
+      const transactionProof = tree.getTransactionProof(multiTx)
+      PlasmaMerkleSumTree.checkTransactionProof(multiTx, transactionProof, tree.root().data).should.be.true
+      const transferProof = tree.getTransferProof(7)
+      PlasmaMerkleSumTree.checkTransferProof(txs[7], 0, transferProof, tree.root().data).should.be.true
+    })
+
+    it('should not change the list of transactions it was built from', () => {
+      const transactions = txs.slice(0, 3)
+      const tree = new PlasmaMerkleSumTree(transactions)
+      tree.append(txs[3])
+
+      transactions.length.should.equal(3)
+      tree.leaves.length.should.equal(4)
+    })
+  })
+
+  describe('Multi-Proofs', () => {
+    const alice = web3.eth.accounts.create()
+    const bob = web3.eth.accounts.create()
+    const txs = utils.getSequentialTxs(30, alice.address).map((tx) => {
+      return tx.sign(alice.privateKey)
+    })
+    const multiTx = new Transaction({
+      block: 0,
+      transfers: [
+        { sender: bob.address, recipient: alice.address, token: 0, start: 1000, end: 1010 },
+        { sender: alice.address, recipient: bob.address, token: 0, start: 400, end: 410 },
+        { sender: alice.address, recipient: bob.address, token: 0, start: 300, end: 310 },
+        { sender: bob.address, recipient: alice.address, token: 1, start: 0, end: 10 }
+      ]
+    }).sign([alice.privateKey, bob.privateKey])
+    const tree = new PlasmaMerkleSumTree(txs.concat([multiTx]))
+    const root = tree.root().data
+
+    it('should verify a multi-proof for every transfer in a transaction', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, multiProof, root).should.be.true
+    })
+
+    it('should be smaller than the individual transfer proofs', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+      const transactionProof = tree.getTransactionProof(multiTx)
+      const numSiblings = transactionProof.args.transferProofs.reduce((total, transferProof) => {
+        return total + transferProof.inclusionProof.length
+      }, 0)
+
+      multiProof.args.nodes.length.should.be.below(numSiblings)
+      multiProof.encoded.length.should.be.below(transactionProof.encoded.length)
+    })
+
+    it('should verify a multi-proof for leaves of different transactions', () => {
+      const leafIndices = [0, 1, 2, 7, 30, 31]
+      const multiProof = tree.getMultiProof(leafIndices)
+      const leaves = leafIndices.map((leafIndex) => tree.leafTransfers[leafIndex])
+
+      PlasmaMerkleSumTree.checkMultiProof(leaves, multiProof, root).should.be.true
+    })
+
+    it('should verify a multi-proof after an encoding round trip', () => {
+      const encoded = tree.getTransactionMultiProof(multiTx).encoded
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, new MultiProof(encoded), root).should.be.true
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, encoded, root).should.be.true
+    })
+
+    it('should verify a multi-proof in a single-leaf tree', () => {
+      const singleTree = new PlasmaMerkleSumTree([txs[0]])
+      const multiProof = singleTree.getTransactionMultiProof(txs[0])
+
+      multiProof.args.nodes.length.should.equal(0)
+      PlasmaMerkleSumTree.checkTransactionMultiProof(txs[0], multiProof, singleTree.root().data).should.be.true
+    })
+
+    it('should not verify a multi-proof with a modified sum', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+      multiProof.args.leaves[1].parsedSum = multiProof.args.leaves[1].parsedSum.addn(1)
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, multiProof, root).should.be.false
+    })
+
+    it('should not verify a multi-proof with a leaf index outside of the tree', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+      multiProof.args.leaves[0].leafIndex = new BigNum(2).pow(new BigNum(100))
+      const deep = tree.getTransactionMultiProof(multiTx)
+      deep.args.depth = new BigNum(60)
+      deep.args.leaves[0].leafIndex = new BigNum(2).pow(new BigNum(55))
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, new MultiProof(multiProof.encoded), root).should.be.false
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, deep, root).should.be.false
+    })
+
+    it('should not verify a multi-proof with a leaf index wider than 32 bits', () => {
+      const proofs = [[32, new BigNum(2).pow(new BigNum(31))], [40, new BigNum(2).pow(new BigNum(33)).addn(1)]].map(([depth, leafIndex]) => {
+        const multiProof = tree.getTransactionMultiProof(multiTx)
+        multiProof.args.depth = new BigNum(depth)
+        multiProof.args.leaves[0].leafIndex = leafIndex
+        return multiProof
+      })
+
+      proofs.forEach((multiProof) => {
+        PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, multiProof, root).should.be.false
+      })
+    })
+
+    it('should not verify a multi-proof for a transfer index the transaction doesn\'t have', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+      const leaves = multiTx.transfers.map((transfer, transferIndex) => {
+        return { transaction: multiTx, transferIndex: (transferIndex === 0) ? 4 : transferIndex }
+      })
+
+      PlasmaMerkleSumTree.checkMultiProof(leaves, multiProof, root).should.be.false
+    })
+
+    it('should not verify a multi-proof with a forged signature', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+      multiProof.args.leaves[0].signature = signHash(multiTx.transactionHash, alice.privateKey)
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, multiProof, root).should.be.false
+    })
+
+    it('should not verify a multi-proof with missing or extra nodes', () => {
+      const missing = tree.getTransactionMultiProof(multiTx)
+      missing.args.nodes.pop()
+      const extra = tree.getTransactionMultiProof(multiTx)
+      extra.args.nodes.push(extra.args.nodes[0])
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, missing, root).should.be.false
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, extra, root).should.be.false
+    })
+
+    it('should not verify a multi-proof against the wrong root', () => {
+      const multiProof = tree.getTransactionMultiProof(multiTx)
+
+      PlasmaMerkleSumTree.checkTransactionMultiProof(multiTx, multiProof, new PlasmaMerkleSumTree(txs).root().data).should.be.false
+    })
+  })
+
+  describe('Range Queries', () => {
+    const owner = web3.eth.accounts.create()
+    const getTx = (start, end) => {
+      return new Transaction({
+        block: 0,
+        transfers: [
+          {
+            sender: owner.address,
+            recipient: accounts[1],
+            token: 0,
+            start: start,
+            end: end
+          }
+        ]
+      }).sign(owner.privateKey)
+    }
+    const txs = [getTx(70, 80), getTx(5, 10), getTx(30, 35), getTx(60, 70), getTx(90, 100)]
+    const tree = new PlasmaMerkleSumTree(txs)
+
+    it('should map coin IDs to the leaf whose implied range contains them', () => {
+      tree.getLeafIndex(0).should.equal(0)
+      tree.getLeafIndex(29).should.equal(0)
+      tree.getLeafIndex(30).should.equal(1)
+      tree.getLeafIndex(65).should.equal(2)
+      tree.getLeafIndex(89).should.equal(3)
+      tree.getLeafIndex(1000000).should.equal(4)
+    })
+
+    it('should return the implied range of a leaf', () => {
+      const range = tree.getImpliedRange(1)
+
+      range.start.toNumber().should.equal(30)
+      range.end.toNumber().should.equal(60)
+    })
+
+    it('should return valid proofs for every leaf overlapping a range', () => {
+      const proofs = tree.getProofsForRange(0, 32, 65)
+
+      proofs.map((proof) => proof.leafIndex).should.deep.equal([1, 2])
+      proofs[0].transaction.should.equal(txs[2])
+      proofs[1].transaction.should.equal(txs[3])
+      proofs.forEach((proof) => {
+        PlasmaMerkleSumTree.checkTransferProof(proof.transaction, proof.transferIndex, proof.transferProof, tree.root().data).should.be.true
+      })
+    })
+
+    it('should return a single leaf for a range inside one leaf', () => {
+      const proofs = tree.getProofsForRange(0, 40, 50)
+
+      proofs.map((proof) => proof.leafIndex).should.deep.equal([1])
+    })
+
+    it('should return every leaf for a range covering the whole tree', () => {
+      const proofs = tree.getProofsForRange(0, 0, 1000000)
+
+      proofs.length.should.equal(txs.length)
+    })
+
+    it('should return no proofs for an empty tree', () => {
+      new PlasmaMerkleSumTree().getProofsForRange(0, 0, 10).should.deep.equal([])
+    })
+  })
+
+  describe('Multiple Tokens', () => {
+    const owner = web3.eth.accounts.create()
+    const getTx = (token, start, end) => {
+      return new Transaction({
+        block: 0,
+        transfers: [
+          {
+            sender: owner.address,
+            recipient: accounts[1],
+            token: token,
+            start: start,
+            end: end
+          }
+        ]
+      }).sign(owner.privateKey)
+    }
+    const txs = [getTx(1, 0, 10), getTx(0, 0, 10), getTx(2, 5, 15), getTx(0, 20, 30)]
+    const tree = new PlasmaMerkleSumTree(txs)
+    const root = tree.root().data
+
+    it('should order leaves by token and then start', () => {
+      tree.leafTransfers.map((leafTransfer) => leafTransfer.transaction).should.deep.equal([txs[1], txs[3], txs[0], txs[2]])
+      tree.getLeafIndex(utils.getCoinId(1, 5)).should.equal(2)
+    })
+
+    it('should allow transfers of different tokens over the same range', () => {
+      const sameRangeTree = new PlasmaMerkleSumTree([getTx(0, 0, 10), getTx(1, 0, 10)])
+
+      sameRangeTree.findViolations().should.deep.equal([])
+    })
+
+    it('should verify proofs for transfers of every token', () => {
+      txs.forEach((tx) => {
+        const transactionProof = tree.getTransactionProof(tx)
+        PlasmaMerkleSumTree.checkTransactionProof(tx, transactionProof, root).should.be.true
+      })
+    })
+
+    it('should only return leaves covering the requested token', () => {
+      const proofs = tree.getProofsForRange(1, 0, 10)
+
+      proofs.map((proof) => proof.transaction).should.deep.equal([txs[0]])
+    })
+
+    it('should prove non-inclusion of a range within a token', () => {
+      const start = utils.getCoinId(1, 10)
+      const end = utils.getCoinId(1, 20)
+      const proof = tree.getNonInclusionProof(start, end)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(start, end, proof, root).should.be.true
+      should.Throw(() => {
+        tree.getNonInclusionProof(utils.getCoinId(2, 0), utils.getCoinId(2, 10))
+      }, 'Range was touched by a transaction in this tree')
+    })
+  })
+
+  describe('Non-Inclusion Proofs', () => {
+    const getTx = (start, end) => {
+      return new Transaction({
+        block: 0,
+        transfers: [
+          {
+            sender: accounts[0],
+            recipient: accounts[1],
+            token: 0,
+            start: start,
+            end: end
+          }
+        ]
+      })
+    }
+    const txs = [getTx(5, 10), getTx(30, 35), getTx(60, 70), getTx(70, 80), getTx(90, 100)]
+    const tree = new PlasmaMerkleSumTree(txs)
+    const root = tree.root().data
+
+    it('should verify a proof for a range between two transfers', () => {
+      const proof = tree.getNonInclusionProof(12, 20)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(12, 20, proof, root).should.be.true
+    })
+
+    it('should verify a proof for a range before the first transfer', () => {
+      const proof = tree.getNonInclusionProof(0, 5)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(0, 5, proof, root).should.be.true
+    })
+
+    it('should verify a proof for a range after the last transfer', () => {
+      const proof = tree.getNonInclusionProof(100, 1000000)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(100, 1000000, proof, root).should.be.true
+    })
+
+    it('should verify a proof in a single-leaf tree', () => {
+      const singleTree = new PlasmaMerkleSumTree([getTx(5, 10)])
+      const proof = singleTree.getNonInclusionProof(10, 20)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(10, 20, proof, singleTree.root().data).should.be.true
+    })
+
+    it('should verify a proof after an encoding round trip', () => {
+      const proof = new NonInclusionProof(tree.getNonInclusionProof(40, 50).encoded)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(40, 50, proof, root).should.be.true
+      PlasmaMerkleSumTree.checkNonInclusionProof(40, 50, proof.encoded, root).should.be.true
+    })
+
+    it('should throw when the range was touched', () => {
+      should.Throw(() => {
+        tree.getNonInclusionProof(8, 20)
+      }, 'Range was touched by a transaction in this tree')
+      should.Throw(() => {
+        tree.getNonInclusionProof(20, 65)
+      }, 'Range was touched by a transaction in this tree')
+    })
+
+    it('should throw for an invalid range', () => {
+      should.Throw(() => {
+        tree.getNonInclusionProof(20, 20)
+      }, 'Invalid range')
+    })
+
+    it('should not verify a proof for a range that overlaps the leaf\'s transfer', () => {
+      const proof = tree.getNonInclusionProof(12, 20)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(8, 20, proof, root).should.be.false
+    })
+
+    it('should not verify a proof for a range outside of the leaf\'s branch', () => {
+      const proof = tree.getNonInclusionProof(12, 20)
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(40, 50, proof, root).should.be.false
+    })
+
+    it('should not verify a proof with a leaf index that needs more sibling nodes', () => {
+      const proof = tree.getNonInclusionProof(12, 20)
+      const transferProof = proof.args.transferProof
+      transferProof.leafIndex = new BigNum(transferProof.leafIndex).add(new BigNum(1).shln(transferProof.inclusionProof.length))
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(12, 20, proof, root).should.be.false
+    })
+
+    it('should not verify a proof against the wrong root', () => {
+      const proof = tree.getNonInclusionProof(12, 20)
+      const otherRoot = new PlasmaMerkleSumTree(txs.slice(1)).root().data
+
+      PlasmaMerkleSumTree.checkNonInclusionProof(12, 20, proof, otherRoot).should.be.false
+    })
+  })
 })